@@ -5,6 +5,7 @@ const cors = require("cors");
 const path = require("path");
 const fs = require("fs-extra");
 const routes = require("./configurations/routes");
+const { startTempSweeper } = require("./helpers/tempStorage");
 
 const PORT = process.env.PORT || 5000;
 const app = express();
@@ -37,7 +38,7 @@ app.use((err, req, res, next) => {
 // Graceful shutdown handler
 const gracefulShutdown = async (signal) => {
   console.log(`\n[${signal}] Received shutdown signal`);
-  console.log(`[SHUTDOWN] No cleanup needed - will be cleaned on next API request`);
+  console.log(`[SHUTDOWN] No cleanup needed - the temp sweeper expires leftover job files after restart`);
   console.log(`[SHUTDOWN] Server shutting down gracefully`);
   process.exit(0);
 };
@@ -69,6 +70,8 @@ app.get("/", (req, res) => {
     endpoints: {
       createVideo: "POST /api/ffmpeg/create-video",
       storageInfo: "GET /api/ffmpeg/storage-info",
+      jobStatus: "GET /api/ffmpeg/jobs/:jobId",
+      fonts: "GET/POST /api/ffmpeg/fonts",
       apiDocs: "GET /api/ffmpeg/create-video"
     }
   });
@@ -86,6 +89,11 @@ app.get("/health", (req, res) => {
 // Register routes
 routes(app);
 
+// Expire finished job directories in temp/ (TTL and disk high-water mark)
+startTempSweeper().catch((err) => {
+  console.error(`[STARTUP ERROR] Failed to initialize temp directory: ${err.message}`);
+});
+
 (async () => {
   try {
     const server = app.listen(PORT, () => {
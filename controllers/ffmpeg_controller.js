@@ -2,66 +2,44 @@ const fs = require("fs-extra");
 const path = require("path");
 const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
-const { exec } = require("child_process");
-const { promisify } = require("util");
-const ffmpegInstaller = require("@ffmpeg-installer/ffmpeg");
 const { uploadToS3, isS3Configured } = require("../helpers/s3Upload");
-
-const execAsync = promisify(exec);
-const TEMP_DIR = path.join(process.cwd(), "temp");
-
-// ---------- FFmpeg PATH (Windows + Ubuntu) ----------
-function getFfmpegPath() {
-  // Prefer system ffmpeg on Linux if present
-  const linuxPath = "/usr/bin/ffmpeg";
-  try {
-    if (process.platform !== "win32" && fs.existsSync(linuxPath)) {
-      return linuxPath;
-    }
-  } catch (_) { }
-  // Fallback to packaged installer (works on Windows/Mac too)
-  return ffmpegInstaller.path;
-}
-const FFMPEG_PATH = getFfmpegPath();
-
-// ---------- Startup temp ensure ----------
-(async () => {
-  try {
-    await fs.ensureDir(TEMP_DIR);
-    console.log(`[STARTUP] Temp directory initialized: ${TEMP_DIR}`);
-    console.log(`[STARTUP] Cleanup will happen on first API request`);
-  } catch (err) {
-    console.error(`[STARTUP ERROR] Failed to initialize temp directory: ${err.message}`);
-  }
-})();
-
-// ---------- Shell helpers ----------
-const runCommand = (cmd, timeoutMs = 10 * 60 * 1000) => { // default 10 min
-  return new Promise((resolve, reject) => {
-    console.log(`[FFmpeg] Executing: ${cmd}`);
-    const child = exec(cmd, {
-      timeout: timeoutMs,
-      maxBuffer: 1024 * 1024 * 64, // 64MB buffer for long stderr
-      windowsHide: true,
-    }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`[FFmpeg Error] ${error.message}`);
-        if (stderr) console.error(`[FFmpeg Error] Stderr:\n${stderr}`);
-        return reject(new Error(stderr || error.message));
-      }
-      console.log(`[FFmpeg] Command completed successfully`);
-      resolve(stdout || stderr || "");
-    });
-
-    child.on("error", (e) => {
-      console.error(`[FFmpeg Error] Process error: ${e.message}`);
-      reject(e);
-    });
-  });
-};
+const { FFMPEG_PATH, PROGRESS_ARGS, runCommand, probeDuration, writeFilterScript } = require("../helpers/ffmpegUtils");
+const { parseTransition, getTrackOffsets, mergeTracks } = require("../helpers/audioTransitions");
+const { buildChapters, formatTracklist } = require("../helpers/chapters");
+const { parseLoudness, normalizeTrackLoudness, normalizeMaster } = require("../helpers/loudness");
+const { parseTargetDuration, buildLoopSequence, applyEndFade } = require("../helpers/playlistLoop");
+const { parseTrimSilence, trimEdgeSilence } = require("../helpers/silenceTrim");
+const { parseAmbience, mixAmbience } = require("../helpers/ambience");
+const { parseMotion, buildMotionFilter } = require("../helpers/videoMotion");
+const { parseSlideshow, buildSegments, buildSlideshowInputs } = require("../helpers/slideshow");
+const { parseProfile } = require("../helpers/outputProfiles");
+const { parseTeaser, findTeaserWindow, renderTeaser } = require("../helpers/teaser");
+const { parseVisualizer, buildVisualizerGraph } = require("../helpers/visualizer");
+const { parseBackgroundVideo, isAnimatedImage, prepareBackgroundLoop } = require("../helpers/backgroundLoop");
+const { parseTracks, getTrackTitle, applyTrackEdits } = require("../helpers/trackList");
+const { parseLowerThirds, buildLowerThirdsFilter } = require("../helpers/lowerThirds");
+const { escapeFilterValue, escapeDrawtext } = require("../helpers/drawtext");
+const { pickFont } = require("../helpers/fontRegistry");
+const { fitText } = require("../helpers/textLayout");
+const { parseMetadata, writeMetadataFile, hasCustomTags } = require("../helpers/mediaMetadata");
+const { parseRenderStrategy, encodeStillSegment, extendSegment } = require("../helpers/segmentRender");
+const { parseEncoding, getTargetVideoBitrate, buildVideoEncodeArgs, summarizeEncoding } = require("../helpers/videoEncoding");
+const {
+  VARIANT_ID_RE, parseThumbnailText, parseThumbnailOptions, parseThumbnailVariants, checkThumbnailTexts,
+} = require("../helpers/thumbnailTemplates");
+const {
+  renderThumbnail, downloadThumbnailImages, getImagePaths, renderThumbnailVariants,
+} = require("../helpers/thumbnailRenderer");
+const {
+  createJob, startStage, setStageProgress, completeJob, failJob, getJob, describeJob,
+} = require("../helpers/jobTracker");
+const {
+  TEMP_DIR, JOB_ID_RE, JOB_TTL_MIN, HIGH_WATER_MB, createJobDir, releaseJobDir, listJobDirs, getTempDirSize,
+} = require("../helpers/tempStorage");
 
 // ---------- Utilities ----------
 const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\/.+/i.test(u);
+const secondsSince = (startedAt) => Number(((Date.now() - startedAt) / 1000).toFixed(2));
 
 // Hardened download (size + content-type checks)
 const downloadFile = async (url, filePath, {
@@ -110,66 +88,6 @@ const safeCleanup = async (dirPath) => {
   }
 };
 
-const cleanupAllTempFiles = async () => {
-  try {
-    if (!(await fs.pathExists(TEMP_DIR))) {
-      await fs.ensureDir(TEMP_DIR);
-      return;
-    }
-    const dirs = await fs.readdir(TEMP_DIR);
-    let cleaned = 0, freed = 0;
-    for (const d of dirs) {
-      const dirPath = path.join(TEMP_DIR, d);
-      try {
-        const files = await fs.readdir(dirPath);
-        for (const f of files) {
-          const fp = path.join(dirPath, f);
-          const st = await fs.stat(fp);
-          freed += st.size;
-        }
-        await fs.remove(dirPath);
-        cleaned++;
-        console.log(`[REQUEST CLEANUP] Removed temp directory: ${d}`);
-      } catch (e) {
-        console.error(`[REQUEST CLEANUP ERROR] ${d}: ${e.message}`);
-      }
-    }
-    if (cleaned) {
-      console.log(`[REQUEST CLEANUP] Cleaned ${cleaned} dirs, freed ${(freed / 1024 / 1024).toFixed(2)} MB`);
-    } else {
-      console.log(`[REQUEST CLEANUP] Temp directory is already empty`);
-    }
-  } catch (error) {
-    console.error(`[REQUEST CLEANUP ERROR] Failed to clean temp directory: ${error.message}`);
-  }
-};
-
-const getTempDirSize = async () => {
-  try {
-    if (!(await fs.pathExists(TEMP_DIR))) return 0;
-    const dirs = await fs.readdir(TEMP_DIR);
-    let total = 0;
-    for (const d of dirs) {
-      const dirPath = path.join(TEMP_DIR, d);
-      try {
-        const stats = await fs.stat(dirPath);
-        if (stats.isDirectory()) {
-          const files = await fs.readdir(dirPath);
-          for (const f of files) {
-            const fp = path.join(dirPath, f);
-            const st = await fs.stat(fp);
-            total += st.size;
-          }
-        }
-      } catch (_) { }
-    }
-    return total;
-  } catch (e) {
-    console.error(`[SIZE CHECK ERROR] ${e.message}`);
-    return 0;
-  }
-};
-
 // ---------- NEW: sanitize a single MP3 → clean WAV ----------
 // This guarantees FFmpeg never sees bad MP3 frames on concat.
 async function sanitizeMp3ToWav(mp3Path, wavPath) {
@@ -191,16 +109,20 @@ async function sanitizeMp3ToWav(mp3Path, wavPath) {
 // ---------- Controller ----------
 const Convert = async (req, res) => {
   let jobId = null;
-  let jobDir = null;
 
   try {
     console.log(`[REQUEST] New video creation request received`);
-    await cleanupAllTempFiles();
-
-    const currentSize = await getTempDirSize();
-    console.log(`[STORAGE] Temp directory size after cleanup: ${(currentSize / 1024 / 1024).toFixed(2)} MB`);
 
-    const { files, imageUrl, vibe, subtitle } = req.body;
+    const {
+      files, imageUrl, vibe, subtitle,
+      transition: transitionInput, loudness: loudnessInput,
+      targetDurationSec: targetDurationInput, shuffle, trimSilence: trimSilenceInput,
+      ambience: ambienceInput, motion: motionInput,
+      images: imagesInput, imageCrossfadeSec, profile: profileInput, teaser: teaserInput,
+      visualizer: visualizerInput, backgroundVideoUrl, backgroundLoopCrossfadeSec,
+      lowerThirds: lowerThirdsInput, metadata: metadataInput, renderStrategy: renderStrategyInput,
+      encoding: encodingInput, thumbnail: thumbnailInput, variants: variantsInput, async: runAsync,
+    } = req.body;
 
     // Input validation (unchanged behavior)
     if (!files || !Array.isArray(files) || files.length === 0) {
@@ -209,10 +131,9 @@ const Convert = async (req, res) => {
     if (files.length > 20) {
       return res.status(400).json({ error: "Maximum 20 audio files allowed." });
     }
-    for (const f of files) {
-      if (!isHttpUrl(f)) {
-        return res.status(400).json({ error: "All files must be valid HTTP/HTTPS URLs." });
-      }
+    const { tracks, error: tracksError } = parseTracks(files);
+    if (tracksError) {
+      return res.status(400).json({ error: tracksError });
     }
     if (!isHttpUrl(imageUrl)) {
       return res.status(400).json({ error: "Please provide a valid image URL in 'imageUrl'." });
@@ -221,25 +142,179 @@ const Convert = async (req, res) => {
     if (!/\.(jpg|jpeg|png|gif|bmp|webp)$/i.test(urlNoQs)) {
       return res.status(400).json({ error: "Unsupported image format. Supported: JPG, JPEG, PNG, GIF, BMP, WEBP" });
     }
-    if (!vibe || !subtitle || !vibe.trim() || !subtitle.trim()) {
-      return res.status(400).json({ error: "Please provide non-empty 'vibe' and 'subtitle'." });
+    // Any script and punctuation is kept; drawtext escaping happens where the text is drawn
+    const { text: sanitizedVibe, error: vibeError } = parseThumbnailText(vibe, "vibe");
+    if (vibeError) {
+      return res.status(400).json({ error: vibeError });
+    }
+    const { text: sanitizedSubtitle, error: subtitleError } = parseThumbnailText(subtitle, "subtitle");
+    if (subtitleError) {
+      return res.status(400).json({ error: subtitleError });
     }
 
-    const sanitizedVibe = vibe.trim().replace(/['"\\]/g, "");
-    const sanitizedSubtitle = subtitle.trim().replace(/['"\\]/g, "");
-    if (sanitizedVibe.length > 100 || sanitizedSubtitle.length > 100) {
-      return res.status(400).json({ error: "Vibe and subtitle must be 100 characters or less." });
+    const { transition, error: transitionError } = parseTransition(transitionInput);
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+    const { loudness, error: loudnessError } = parseLoudness(loudnessInput);
+    if (loudnessError) {
+      return res.status(400).json({ error: loudnessError });
+    }
+    const { targetDurationSec, error: targetDurationError } = parseTargetDuration(targetDurationInput, tracks, transition);
+    if (targetDurationError) {
+      return res.status(400).json({ error: targetDurationError });
+    }
+    if (shuffle !== undefined && typeof shuffle !== "boolean") {
+      return res.status(400).json({ error: "'shuffle' must be a boolean." });
+    }
+    const { trimSilence, error: trimSilenceError } = parseTrimSilence(trimSilenceInput);
+    if (trimSilenceError) {
+      return res.status(400).json({ error: trimSilenceError });
+    }
+    const { ambience, error: ambienceError } = parseAmbience(ambienceInput);
+    if (ambienceError) {
+      return res.status(400).json({ error: ambienceError });
+    }
+    const { motion, error: motionError } = parseMotion(motionInput);
+    if (motionError) {
+      return res.status(400).json({ error: motionError });
+    }
+    const { slideshow, error: slideshowError } = parseSlideshow(imagesInput, tracks.length, imageCrossfadeSec, targetDurationSec);
+    if (slideshowError) {
+      return res.status(400).json({ error: slideshowError });
+    }
+    const { profile, error: profileError } = parseProfile(profileInput);
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    const { teaser, error: teaserError } = parseTeaser(teaserInput);
+    if (teaserError) {
+      return res.status(400).json({ error: teaserError });
+    }
+    const { visualizer, error: visualizerError } = parseVisualizer(visualizerInput);
+    if (visualizerError) {
+      return res.status(400).json({ error: visualizerError });
+    }
+    const { backgroundVideo, error: backgroundVideoError } = parseBackgroundVideo(backgroundVideoUrl, backgroundLoopCrossfadeSec);
+    if (backgroundVideoError) {
+      return res.status(400).json({ error: backgroundVideoError });
+    }
+    if (backgroundVideo && slideshow) {
+      return res.status(400).json({ error: "Use either 'backgroundVideoUrl' or 'images', not both." });
+    }
+    const { lowerThirds, error: lowerThirdsError } = parseLowerThirds(lowerThirdsInput);
+    if (lowerThirdsError) {
+      return res.status(400).json({ error: lowerThirdsError });
+    }
+    const { metadata, error: metadataError } = parseMetadata(metadataInput);
+    if (metadataError) {
+      return res.status(400).json({ error: metadataError });
+    }
+    const { renderStrategy, error: renderStrategyError } = parseRenderStrategy(renderStrategyInput, {
+      motion, slideshow, visualizer, lowerThirds,
+    });
+    if (renderStrategyError) {
+      return res.status(400).json({ error: renderStrategyError });
+    }
+    const { encoding, error: encodingError } = parseEncoding(encodingInput);
+    if (encodingError) {
+      return res.status(400).json({ error: encodingError });
+    }
+    if (renderStrategy === "segment-loop" && encoding.mode === "target-size-mb") {
+      return res.status(400).json({ error: "'encoding' mode target-size-mb needs 'renderStrategy' \"full\"." });
+    }
+    // A looped mix's length is known now; otherwise the size is checked once the audio is mixed
+    if (encoding.mode === "target-size-mb" && targetDurationSec) {
+      try {
+        getTargetVideoBitrate(encoding, targetDurationSec, 128, profile);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+    const { thumbnail, error: thumbnailError } = parseThumbnailOptions(thumbnailInput);
+    if (thumbnailError) {
+      return res.status(400).json({ error: thumbnailError });
+    }
+    const { variants, error: variantsError } = parseThumbnailVariants(variantsInput, thumbnailInput);
+    if (variantsError) {
+      return res.status(400).json({ error: variantsError });
+    }
+    const textError = checkThumbnailTexts(thumbnail, variants, { vibe: sanitizedVibe, subtitle: sanitizedSubtitle });
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    if (runAsync !== undefined && typeof runAsync !== "boolean") {
+      return res.status(400).json({ error: "'async' must be a boolean." });
     }
 
+    const protocol = req.protocol || "http";
+    const host = req.get("host") || "localhost:5000";
+    const baseUrl = `${protocol}://${host}`;
     jobId = uuidv4();
-    jobDir = path.join(TEMP_DIR, jobId);
-    await fs.ensureDir(jobDir);
-    console.log(`[Sebestian] Starting video creation job: ${jobId}}`);
+    const job = createJob(jobId);
+    const params = {
+      tracks, imageUrl, urlNoQs, vibe, subtitle, sanitizedVibe, sanitizedSubtitle,
+      transition, loudness, targetDurationSec, shuffle, trimSilence, ambience, motion, slideshow, profile, teaser,
+      visualizer, backgroundVideo, lowerThirds, metadata, renderStrategy, encoding, thumbnail, variants, baseUrl,
+    };
+
+    if (runAsync) {
+      // Answer now; the job reports its stages and result on GET /jobs/:jobId
+      runVideoJob(job, params).catch((err) => {
+        console.error(`[ERROR] Video creation failed for job ${jobId}: ${err.message}`);
+      });
+      return res.status(202).json({
+        success: true,
+        message: "Video creation started",
+        jobId,
+        status: job.status,
+        statusUrl: `${baseUrl}/api/ffmpeg/jobs/${jobId}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json(await runVideoJob(job, params));
+  } catch (err) {
+    console.error(`[ERROR] Video creation failed for job ${jobId}: ${err.message}`);
+    if (!res.headersSent && err.status === 400) {
+      // A request problem only detectable mid-job (see requestError)
+      res.status(400).json({ error: err.message, jobId });
+    } else if (!res.headersSent) {
+      res.status(500).json({
+        error: "Video creation failed",
+        details: err.message,
+        jobId: jobId || "unknown",
+      });
+    }
+  }
+};
+
+/**
+ * Download, mix and render one video job, recording each stage on the job
+ * @param {object} job - createJob() record
+ * @param {object} params - Validated request options (Convert())
+ * @returns {Promise<object>} - Response body
+ */
+const runVideoJob = async (job, {
+  tracks, imageUrl, urlNoQs, vibe, subtitle, sanitizedVibe, sanitizedSubtitle,
+  transition, loudness, targetDurationSec, shuffle, trimSilence, ambience, motion, slideshow, profile, teaser,
+  visualizer, backgroundVideo, lowerThirds, metadata, renderStrategy, encoding, thumbnail, variants, baseUrl,
+}) => {
+  const jobId = job.id;
+  try {
+    const jobDir = await createJobDir(jobId);
+    console.log(`[Sebestian] Starting video creation job: ${jobId}`);
+    const startedAt = Date.now();
+    const timings = { requestedStrategy: renderStrategy, strategy: renderStrategy };
 
     // ---------- Download audio files (MP3) ----------
+    startStage(job, "download");
+    const downloadCount = tracks.length + 1 + (backgroundVideo ? 1 : 0) + (slideshow ? slideshow.images.length : 0) + (ambience ? 1 : 0);
+    let downloaded = 0;
+    const downloadDone = () => setStageProgress(job, (++downloaded / downloadCount) * 100);
     const downloadedMp3s = [];
-    for (let i = 0; i < files.length; i++) {
-      const url = files[i];
+    for (let i = 0; i < tracks.length; i++) {
+      const { url } = tracks[i];
       const p = path.join(jobDir, `audio_${i}.mp3`);
       await downloadFile(url, p, {
         acceptedContentTypes: ["audio/", "octet-stream", "mpeg"],
@@ -248,8 +323,9 @@ const Convert = async (req, res) => {
       if (stat.size < 2048) {
         throw new Error(`Audio file ${i + 1} is too small (possibly corrupt)`);
       }
-      console.log(`[Download] Audio file ${i + 1}/${files.length} downloaded successfully`);
+      console.log(`[Download] Audio file ${i + 1}/${tracks.length} downloaded successfully`);
       downloadedMp3s.push(p);
+      downloadDone();
     }
 
     // ---------- Download image ----------
@@ -261,9 +337,77 @@ const Convert = async (req, res) => {
       maxSizeBytes: 25 * 1024 * 1024, // 25MB
     });
     console.log(`[Download] Image downloaded successfully as ${ext.toUpperCase()}`);
+    downloadDone();
+
+    // ---------- Background clip (optional; an animated GIF imageUrl is looped the same way) ----------
+    let loopSource = null;
+    if (backgroundVideo) {
+      loopSource = { path: path.join(jobDir, `background_clip.${backgroundVideo.ext}`), type: "video", crossfadeSec: backgroundVideo.crossfadeSec };
+      await downloadFile(backgroundVideo.url, loopSource.path, {
+        acceptedContentTypes: ["video/", "image/gif", "octet-stream"],
+      });
+      console.log(`[Download] Background clip downloaded successfully`);
+      downloadDone();
+    } else if (!slideshow && ext === "gif" && await isAnimatedImage(imagePath)) {
+      // GIFs are made to loop already, so no crossfade at the seam
+      loopSource = { path: imagePath, type: "animated-image", crossfadeSec: 0 };
+      console.log(`[Background] Animated GIF detected, using it as a looping background`);
+    }
+
+    // ---------- Download slideshow images (optional) ----------
+    const slideshowPaths = [];
+    if (slideshow) {
+      for (let i = 0; i < slideshow.images.length; i++) {
+        const { url } = slideshow.images[i];
+        const slideExt = (url.split("?")[0].match(/\.(jpg|jpeg|png|gif|bmp|webp)$/i)?.[1] || "jpg").toLowerCase();
+        const p = path.join(jobDir, `slide_${i}.${slideExt}`);
+        await downloadFile(url, p, {
+          acceptedContentTypes: ["image/"],
+          timeoutMs: 90 * 1000,
+          maxSizeBytes: 25 * 1024 * 1024, // 25MB
+        });
+        slideshowPaths.push(p);
+        downloadDone();
+      }
+      console.log(`[Download] ${slideshowPaths.length} slideshow images downloaded successfully`);
+    }
+
+    // ---------- Download thumbnail logos / watermarks (optional, each URL once for all variants) ----------
+    const thumbnailImagePaths = await downloadThumbnailImages(
+      [thumbnail, ...(variants || []).map((v) => v.thumbnail)],
+      jobDir,
+      (url, filePath) => downloadFile(url, filePath, {
+        acceptedContentTypes: ["image/"],
+        timeoutMs: 60 * 1000,
+        maxSizeBytes: 10 * 1024 * 1024, // 10MB
+      })
+    );
+    if (Object.keys(thumbnailImagePaths).length > 0) {
+      console.log(`[Download] ${Object.keys(thumbnailImagePaths).length} thumbnail images downloaded successfully`);
+    }
+
+    // ---------- Download ambience bed (optional) ----------
+    let ambiencePath = null;
+    if (ambience) {
+      ambiencePath = path.join(jobDir, "ambience.audio");
+      await downloadFile(ambience.url, ambiencePath, {
+        acceptedContentTypes: ["audio/", "octet-stream", "mpeg", "ogg"],
+      });
+      console.log(`[Download] Ambience bed downloaded successfully`);
+      downloadDone();
+    }
+
+    timings.downloadSec = secondsSince(startedAt);
+    const audioStartedAt = Date.now();
 
     // ---------- NEW: sanitize each MP3 → WAV (so FFmpeg never sees corrupt frames) ----------
+    // The sanitize stage covers every per-track step: decode, edits, silence trim, loudness matching
+    startStage(job, "sanitize");
+    const trackSteps = downloadedMp3s.length * (2 + (trimSilence ? 1 : 0) + (loudness.perTrack ? 1 : 0));
+    let trackStep = 0;
+    const trackStepDone = () => setStageProgress(job, (++trackStep / trackSteps) * 100);
     const sanitizedWavs = [];
+    const durations = [];
     for (let i = 0; i < downloadedMp3s.length; i++) {
       const inp = downloadedMp3s[i];
       const out = path.join(jobDir, `audio_${i}.wav`);
@@ -271,144 +415,429 @@ const Convert = async (req, res) => {
         await sanitizeMp3ToWav(inp, out);
         console.log(`[Sanitize] ${path.basename(inp)} → ${path.basename(out)} OK`);
         sanitizedWavs.push(out);
+        durations.push(await probeDuration(out));
+        trackStepDone();
       } catch (e) {
         console.error(`[Sanitize Error] ${path.basename(inp)}: ${e.message}`);
         throw new Error(`Audio file ${i + 1} is invalid/corrupt and could not be repaired`);
       }
     }
 
-    // ---------- Build concat list using WAVs + WAV silence ----------
-    const listFile = path.join(jobDir, "list.txt");
-    const silenceWav = path.join(jobDir, "silence.wav");
-    // Create 1s silence WAV (matches sample rate/channels)
-    await runCommand(
-      `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -f lavfi -i anullsrc=r=44100:cl=stereo -t 1 -acodec pcm_s16le "${silenceWav}"`,
-      60 * 1000
-    );
+    // ---------- Per-track trim / gain / fades ----------
+    for (let i = 0; i < sanitizedWavs.length; i++) {
+      const edited = await applyTrackEdits(sanitizedWavs[i], tracks[i], durations[i], path.join(jobDir, `audio_${i}_edit.wav`), i);
+      if (edited !== sanitizedWavs[i]) {
+        sanitizedWavs[i] = edited;
+        durations[i] = await probeDuration(edited);
+        console.log(`[Track Edit] Track ${i + 1} trimmed/adjusted → ${durations[i].toFixed(2)}s`);
+      }
+      trackStepDone();
+    }
 
-    const lines = [];
-    sanitizedWavs.forEach((wav, i) => {
-      lines.push(`file '${wav.replace(/'/g, "'\\''")}'`);
-      if (i < sanitizedWavs.length - 1) {
-        lines.push(`file '${silenceWav.replace(/'/g, "'\\''")}'`);
+    // ---------- Leading/trailing silence trimming (opt-in) ----------
+    const silenceReport = [];
+    if (trimSilence) {
+      for (let i = 0; i < sanitizedWavs.length; i++) {
+        const result = await trimEdgeSilence(sanitizedWavs[i], trimSilence, durations[i], path.join(jobDir, `audio_${i}_trim.wav`));
+        if (result.path !== sanitizedWavs[i]) {
+          sanitizedWavs[i] = result.path;
+          durations[i] = await probeDuration(result.path);
+        }
+        const { headSec, tailSec, skipped } = result;
+        silenceReport.push({ index: i + 1, title: getTrackTitle(tracks[i], i), headSec, tailSec, skipped });
+        console.log(`[Silence Trim] Track ${i + 1}: head ${headSec}s, tail ${tailSec}s${skipped ? ` (${skipped})` : ""}`);
+        trackStepDone();
       }
-    });
-    await fs.writeFile(listFile, lines.join("\n"));
-    console.log(`[Concat List] Created list with ${sanitizedWavs.length} audio files`);
+    }
 
-    // ---------- Merge WAVs to single WAV (lossless), then normalize to AAC ----------
-    const mergedWav = path.join(jobDir, "merged.wav");
+    // ---------- Per-track loudness matching (two-pass loudnorm) ----------
+    const trackLoudness = [];
+    if (loudness.perTrack) {
+      for (let i = 0; i < sanitizedWavs.length; i++) {
+        const { path: normalized, report } = await normalizeTrackLoudness(
+          sanitizedWavs[i], loudness, path.join(jobDir, `audio_${i}_norm.wav`), tracks[i].gainDb
+        );
+        sanitizedWavs[i] = normalized;
+        trackLoudness.push({ index: i + 1, title: getTrackTitle(tracks[i], i), ...report });
+        console.log(`[Loudness] Track ${i + 1}: ${report.error ? `skipped (${report.error})` : `${report.input.integratedLufs} → ${report.output.integratedLufs} LUFS`}`);
+        trackStepDone();
+      }
+    }
+
+    // ---------- Play order (repeat the track list to reach targetDurationSec) ----------
+    startStage(job, "merge");
+    let playOrder = [...sanitizedWavs.keys()];
+    let mixLengthSec = null;
+    if (targetDurationSec) {
+      ({ sequence: playOrder, lengthSec: mixLengthSec } = buildLoopSequence(durations, targetDurationSec, transition, shuffle === true));
+      console.log(`[Loop] ${playOrder.length} entries to reach ${targetDurationSec}s (mix: ${mixLengthSec.toFixed(2)}s${shuffle ? ", shuffled" : ""})`);
+    }
+    const playWavs = playOrder.map((i) => sanitizedWavs[i]);
+    const playDurations = playOrder.map((i) => durations[i]);
+
+    // ---------- Merge WAVs to single WAV (lossless) with the requested transition ----------
+    let mergedWav = path.join(jobDir, "merged.wav");
     try {
-      // Re-encode merge so containers match 100% (safer than -c copy on mixed inputs)
-      await runCommand(
-        `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -f concat -safe 0 -i "${listFile}" -acodec pcm_s16le -ar 44100 -ac 2 "${mergedWav}"`,
-        5 * 60 * 1000
-      );
-      console.log(`[Merge] Created merged.wav`);
+      await mergeTracks({ wavPaths: playWavs, durations: playDurations, transition, jobDir, outPath: mergedWav });
+      console.log(`[Merge] Created merged.wav (${transition.mode}, ${transition.durationSec}s)`);
+      if (mixLengthSec) {
+        mergedWav = await applyEndFade(mergedWav, path.join(jobDir, "merged_target.wav"), mixLengthSec);
+        console.log(`[Merge] Trimmed to ${mixLengthSec.toFixed(2)}s with fade-out`);
+      }
     } catch (err) {
       console.error(`[Merge Error] ${err.message}`);
       throw new Error(`Failed to merge audio files`);
     }
 
-    const finalAudio = path.join(jobDir, "final_audio.m4a");
-    try {
-      // Primary normalization: EBU R128 loudnorm
-      await runCommand(
-        `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${mergedWav}" -af "loudnorm=I=-16:TP=-1.5:LRA=11" -c:a aac -b:a 128k -ar 44100 "${finalAudio}"`,
-        10 * 60 * 1000
-      );
-      const st = await fs.stat(finalAudio);
-      console.log(`[Merge + Normalize] Audio merged & normalized (${(st.size / 1024 / 1024).toFixed(2)} MB)`);
-    } catch (e1) {
-      console.warn(`[Normalize Warning] loudnorm failed (${e1.message}), trying dynaudnorm...`);
+    // ---------- Ambience bed under the whole mix (before loudnorm so the target holds) ----------
+    if (ambiencePath) {
       try {
-        await runCommand(
-          `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${mergedWav}" -filter:a "dynaudnorm=f=150:g=15" -c:a aac -b:a 128k -ar 44100 "${finalAudio}"`,
-          6 * 60 * 1000
-        );
-        const st = await fs.stat(finalAudio);
-        console.log(`[Normalize Fallback] dynaudnorm OK (${(st.size / 1024 / 1024).toFixed(2)} MB)`);
-      } catch (e2) {
-        console.warn(`[Normalize Warning] dynaudnorm failed (${e2.message}), final fallback volume=1.3`);
-        await runCommand(
-          `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${mergedWav}" -filter:a "volume=1.3" -c:a aac -b:a 128k -ar 44100 "${finalAudio}"`,
-          4 * 60 * 1000
-        );
-        const st = await fs.stat(finalAudio);
-        console.log(`[Normalize Fallback] simple volume OK (${(st.size / 1024 / 1024).toFixed(2)} MB)`);
+        mergedWav = await mixAmbience({
+          musicPath: mergedWav,
+          ambiencePath,
+          ambience,
+          durationSec: await probeDuration(mergedWav),
+          outPath: path.join(jobDir, "merged_ambience.wav"),
+        });
+        console.log(`[Ambience] Bed mixed at ${ambience.volumeDb} dB${ambience.duck ? " with ducking" : ""}`);
+      } catch (err) {
+        console.error(`[Ambience Error] ${err.message}`);
+        throw new Error(`Failed to mix ambience bed (check 'ambience.url' is a valid audio file)`);
       }
     }
 
-    // ---------- Create video (primary + fallback) ----------
+    // ---------- Chapters (track start offsets in the merged mix) ----------
+    const chapters = buildChapters({
+      titles: playOrder.map((i) => getTrackTitle(tracks[i], i)),
+      offsets: getTrackOffsets(playDurations, transition),
+      durations: playDurations,
+      totalSec: mixLengthSec || Infinity,
+    });
+    const tracklist = formatTracklist(chapters);
+    console.log(`[Chapters] ${chapters.length} chapters:\n${tracklist}`);
+
+    startStage(job, "normalize");
+    const finalAudio = path.join(jobDir, "final_audio.m4a");
+    const masterLoudness = await normalizeMaster({
+      inputPath: mergedWav,
+      outputPath: finalAudio,
+      loudness,
+      encodeArgs: "-c:a aac -b:a 128k -ar 44100",
+    });
+    timings.audioSec = secondsSince(audioStartedAt);
+    const loudnessReport = {
+      target: { integratedLufs: loudness.integratedLufs, truePeakDb: loudness.truePeakDb, lra: loudness.lra },
+      tracks: trackLoudness,
+      master: masterLoudness,
+    };
+
+    // ---------- Create video (segment loop, or primary + fallback) ----------
+    startStage(job, "render");
+    const videoStartedAt = Date.now();
     const videoFile = path.join(jobDir, "final_video.mp4");
-    try {
-      console.log(`[Video] Starting video creation...`);
-      const primaryCmd = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -loop 1 -i "${imagePath.replace(/\\/g, '/')}" -i "${finalAudio.replace(/\\/g, '/')}" \
--c:v libx264 -preset slow -crf 18 -tune stillimage \
--b:v 5000k -maxrate 8000k -bufsize 10000k \
--c:a aac -b:a 128k -pix_fmt yuv420p -movflags +faststart -shortest \
--vf "scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080" "${videoFile.replace(/\\/g, '/')}"`;
+    const audioDurationSec = await probeDuration(finalAudio);
+    // Rate control from 'encoding'; target-size-mb derives its bitrate from the audio length (checked before any video work)
+    const { videoKbps, uncappedKbps } = encoding.mode === "target-size-mb"
+      ? getTargetVideoBitrate(encoding, audioDurationSec, 128, profile)
+      : { videoKbps: null, uncappedKbps: null };
+    // Single still by default; a slideshow, visualizer and/or lower thirds switch to a filter graph
+    let videoInput = `-loop 1 -i "${imagePath}"`;
+    let videoInputCount = 1;
+    const frame = { width: profile.width, height: profile.height, crop: profile.crop };
+    let backgroundLoop = null;
+    if (loopSource) {
+      try {
+        backgroundLoop = await prepareBackgroundLoop({ sourcePath: loopSource.path, crossfadeSec: loopSource.crossfadeSec, ...frame, jobDir });
+      } catch (err) {
+        console.error(`[Background Loop Error] ${err.message}`);
+        throw new Error(`Failed to prepare the background clip (check it is a valid video or GIF)`);
+      }
+      videoInput = `-stream_loop -1 -i "${backgroundLoop.path}"`;
+      console.log(`[Background] ${backgroundLoop.lengthSec}s loop (crossfade ${backgroundLoop.crossfadeSec}s)`);
+    }
+    // The loop is already fitted to the frame, so a plain cover crop is a no-op there
+    const motionFilter = buildMotionFilter(motion, {
+      ...frame, crop: backgroundLoop ? "cover" : frame.crop, durationSec: audioDurationSec,
+    });
+    let videoFilterArgs = `-vf "${motionFilter}"`;
+    let mapArgs = "";
+    let extraInputs = "";
+    let extraInputCount = 0;
+    let videoGraph = null;
+    // Each overlay stage reads the previous stage's label; the last one is mapped
+    let videoLabel = "vbase";
+    let lowerThirdsReport = null;
+    if (slideshow) {
+      const segments = buildSegments(slideshow, {
+        totalSec: audioDurationSec,
+        trackStarts: chapters.map((c) => ({ trackIndex: playOrder[c.index - 1], startSec: c.startSec })),
+      });
+      const ss = buildSlideshowInputs({
+        segments, imagePaths: slideshowPaths, slideshow, motion, totalSec: audioDurationSec, ...frame, outLabel: videoLabel,
+      });
+      videoInput = ss.inputArgs;
+      videoInputCount = ss.inputCount;
+      videoGraph = ss.graph;
+      console.log(`[Slideshow] ${segments.length} segments: ${segments.map((s) => `#${s.imageIndex}@${s.startSec}s`).join(", ")}`);
+    }
+    if (visualizer || lowerThirds) {
+      videoGraph = videoGraph || [`[0:v]${motionFilter}[${videoLabel}]`];
+    }
+    if (visualizer) {
+      const vis = await buildVisualizerGraph(visualizer, {
+        width: profile.width,
+        height: profile.height,
+        audioInput: videoInputCount,
+        nextInput: videoInputCount + 1,
+        baseLabel: videoLabel,
+        outLabel: "vvis",
+        jobDir,
+      });
+      videoGraph.push(...vis.graph);
+      videoLabel = "vvis";
+      extraInputs = vis.loopInputs.map((p) => `-loop 1 -i "${p}"`).join(" ");
+      extraInputCount = vis.loopInputs.length;
+      console.log(`[Visualizer] ${visualizer.style} (${visualizer.position}, ${visualizer.blend})`);
+    }
+    if (lowerThirds) {
+      const { filter, captions } = buildLowerThirdsFilter(lowerThirds, {
+        entries: chapters.map((c) => {
+          const i = playOrder[c.index - 1];
+          return { title: tracks[i].title || `Track ${i + 1}`, artist: tracks[i].artist, startSec: c.startSec, endSec: c.endSec };
+        }),
+        width: profile.width,
+        height: profile.height,
+      });
+      if (filter) {
+        videoGraph.push(`[${videoLabel}]${filter}[vlt]`);
+        videoLabel = "vlt";
+      }
+      lowerThirdsReport = captions.map((c) => ({
+        title: c.title, artist: c.artist || undefined, fromSec: Number(c.fromSec.toFixed(3)), toSec: Number(c.toSec.toFixed(3)),
+      }));
+      console.log(`[Lower Thirds] ${captions.length} captions (${lowerThirds.position})`);
+    }
+    if (videoGraph) {
+      const script = await writeFilterScript(path.join(jobDir, "video_graph.txt"), videoGraph);
+      videoFilterArgs = `-filter_complex_script "${script}"`;
+      mapArgs = `-map "[${videoLabel}]" -map ${videoInputCount}:a`;
+    }
+    // Container tags and chapter markers, muxed from an FFMETADATA1 file added as the last input
+    const metadataTags = {
+      title: `${vibe.trim()} - ${subtitle.trim()}`,
+      description: tracklist,
+      ...metadata.fields,
+      ...metadata.tags,
+    };
+    const metadataFile = await writeMetadataFile(path.join(jobDir, "metadata.txt"), {
+      tags: metadataTags, chapters, totalSec: audioDurationSec,
+    });
+    const metadataIndex = videoInputCount + 1 + extraInputCount;
+    const metadataInputArgs = `-i "${metadataFile}"`;
+    const metadataMapArgs = `-map_metadata ${metadataIndex} -map_chapters ${metadataIndex}`;
+    // Custom keys only survive in MP4 as mdta tags
+    const movflags = hasCustomTags(metadata) ? "+faststart+use_metadata_tags" : "+faststart";
+    // -t as well as -shortest: filter graphs buffer video frames past the end of the audio
+    // -tune stillimage only suits a static frame
+    const tune = motion.preset === "none" && !videoGraph && !backgroundLoop ? "-tune stillimage" : "";
+    const videoCodecArgs = buildVideoEncodeArgs(encoding, profile, videoKbps);
+    let passes = 1;
+    let fullRenderEstimateSec = null;
+    if (renderStrategy === "segment-loop") {
+      // The frame repeats exactly: encode it once, then stream-copy it to the audio length
+      try {
+        console.log(`[Video] Segment-loop render (profile: ${profile.name})...`);
+        const encodeStartedAt = Date.now();
+        const segment = backgroundLoop
+          ? { path: backgroundLoop.path, lengthSec: backgroundLoop.lengthSec }
+          : await encodeStillSegment({
+            imagePath, frameFilter: motionFilter, profile, encodeArgs: videoCodecArgs, outPath: path.join(jobDir, "segment.mp4"),
+          });
+        const encodeSec = secondsSince(encodeStartedAt);
+        setStageProgress(job, 50);
+        const copyStartedAt = Date.now();
+        const { repeats } = await extendSegment({
+          segmentPath: segment.path,
+          segmentSec: segment.lengthSec,
+          audioPath: finalAudio,
+          durationSec: audioDurationSec,
+          jobDir,
+          outPath: videoFile,
+          extraInputs: metadataInputArgs,
+          outputArgs: `-movflags ${movflags} ${metadataMapArgs}`,
+        });
+        timings.segment = { lengthSec: segment.lengthSec, repeats, encodeSec, copySec: secondsSince(copyStartedAt) };
+        // Not measured: a full render encodes every frame the way the segment's were, so scale its encode
+        // time to the mix. FFmpeg startup is scaled too, which overstates the speedup on short segments.
+        // (A prepared background loop was encoded earlier, so there is nothing to scale.)
+        if (!backgroundLoop) fullRenderEstimateSec = (encodeSec * audioDurationSec) / segment.lengthSec;
+        const vs = await fs.stat(videoFile);
+        console.log(`[Video] Video created (segment x${repeats}) ${(vs.size / 1024 / 1024).toFixed(2)} MB`);
+      } catch (err) {
+        console.error(`[Video Error] Segment-loop render failed: ${err.message}`);
+        console.log(`[Video] Fallback: full render`);
+        timings.strategy = "full";
+        timings.fallbackReason = err.message;
+      }
+    }
+    if (timings.strategy === "full") {
+      try {
+        console.log(`[Video] Starting video creation (profile: ${profile.name}, motion: ${motion.preset}, encoding: ${encoding.mode})...`);
+        let passArgs = "";
+        if (encoding.mode === "target-size-mb") {
+          // Pass 1 only analyses the video; pass 2 spends the bitrate where the picture needs it
+          const passLog = path.join(jobDir, "x264_pass");
+          await runCommand(
+            `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${PROGRESS_ARGS} ${videoInput} -i "${finalAudio}" ${extraInputs} ` +
+            `-c:v libx264 ${videoCodecArgs} ${tune} -pass 1 -passlogfile "${passLog}" -pix_fmt yuv420p ` +
+            `-t ${audioDurationSec.toFixed(3)} ${videoFilterArgs} ${mapArgs} -an -f null -`,
+            10 * 60 * 1000,
+            { durationSec: audioDurationSec, onProgress: (p) => setStageProgress(job, p / 2) }
+          );
+          passArgs = `-pass 2 -passlogfile "${passLog}"`;
+          passes = 2;
+        }
+        const primaryCmd = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${PROGRESS_ARGS} ${videoInput} -i "${finalAudio.replace(/\\/g, '/')}" ${extraInputs} ${metadataInputArgs} \
+-c:v libx264 ${videoCodecArgs} ${tune} ${passArgs} \
+-c:a aac -b:a 128k -pix_fmt yuv420p -movflags ${movflags} -shortest -t ${audioDurationSec.toFixed(3)} \
+${videoFilterArgs} ${mapArgs} ${metadataMapArgs} "${videoFile.replace(/\\/g, '/')}"`;
 
 
-      await runCommand(primaryCmd, 10 * 60 * 1000);
-      const vs = await fs.stat(videoFile);
-      console.log(`[Video] Video created (slow preset) ${(vs.size / 1024 / 1024).toFixed(2)} MB`);
-    } catch (err) {
-      console.error(`[Video Error] Primary failed: ${err.message}`);
-      console.log(`[Video] Fallback: medium preset, CRF 23`);
-      const fallbackCmd = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -loop 1 -i "${imagePath}" -i "${finalAudio}" ` +
-        `-c:v libx264 -preset medium -crf 23 -tune stillimage ` +
-        `-c:a copy -pix_fmt yuv420p -movflags +faststart -shortest ` +
-        `-vf "scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080" "${videoFile}"`;
+        const passStart = passes === 2 ? 50 : 0;
+        await runCommand(primaryCmd, 10 * 60 * 1000, {
+          durationSec: audioDurationSec,
+          onProgress: (p) => setStageProgress(job, passStart + (p * (100 - passStart)) / 100),
+        });
+        const vs = await fs.stat(videoFile);
+        console.log(`[Video] Video created (slow preset) ${(vs.size / 1024 / 1024).toFixed(2)} MB`);
+      } catch (err) {
+        console.error(`[Video Error] Primary failed: ${err.message}`);
+        // Target size keeps its bitrate in a single pass; the CRF modes drop to CRF 23
+        const fallbackCodecArgs = encoding.mode === "target-size-mb"
+          ? buildVideoEncodeArgs({ ...encoding, preset: "medium" }, profile, videoKbps)
+          : `-preset medium -crf 23 -maxrate ${profile.maxrateK}k -bufsize ${profile.bufsizeK}k`;
+        console.log(`[Video] Fallback: ${fallbackCodecArgs}`);
+        passes = 1;
+        const fallbackCmd = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${PROGRESS_ARGS} ${videoInput} -i "${finalAudio}" ${extraInputs} ${metadataInputArgs} ` +
+          `-c:v libx264 ${fallbackCodecArgs} ${tune} ` +
+          `-c:a copy -pix_fmt yuv420p -movflags ${movflags} -shortest -t ${audioDurationSec.toFixed(3)} ` +
+          `${videoFilterArgs} ${mapArgs} ${metadataMapArgs} "${videoFile}"`;
 
-      await runCommand(fallbackCmd, 10 * 60 * 1000);
-      const vs = await fs.stat(videoFile);
-      console.log(`[Video] Video created (fallback) ${(vs.size / 1024 / 1024).toFixed(2)} MB`);
+        setStageProgress(job, 0);
+        await runCommand(fallbackCmd, 10 * 60 * 1000, {
+          durationSec: audioDurationSec,
+          onProgress: (p) => setStageProgress(job, p),
+        });
+        const vs = await fs.stat(videoFile);
+        console.log(`[Video] Video created (fallback) ${(vs.size / 1024 / 1024).toFixed(2)} MB`);
+      }
+    }
+    timings.videoSec = secondsSince(videoStartedAt);
+    const encodingReport = summarizeEncoding(encoding, {
+      sizeBytes: (await fs.stat(videoFile)).size, durationSec: audioDurationSec, videoKbps, uncappedKbps, passes,
+    });
+    console.log(`[Encoding] ${JSON.stringify(encodingReport)}`);
+    // Seconds of video rendered per second of wall time
+    timings.videoRealtimeFactor = Number((audioDurationSec / Math.max(timings.videoSec, 0.01)).toFixed(1));
+    if (fullRenderEstimateSec !== null) {
+      timings.fullRenderEstimate = {
+        basis: `${timings.segment.lengthSec}s segment encode extrapolated to the mix length (not measured)`,
+        estimatedSec: Number(fullRenderEstimateSec.toFixed(2)),
+        segmentLoopSec: timings.videoSec,
+        estimatedSpeedup: Number((fullRenderEstimateSec / Math.max(timings.videoSec, 0.01)).toFixed(1)),
+      };
     }
 
-    // ---------- Thumbnail (platform-safe font) ----------
+    // ---------- Thumbnail (JSON template, platform-safe font) ----------
+    startStage(job, "thumbnail");
+    const thumbnailStartedAt = Date.now();
     const thumbnailFile = path.join(jobDir, "thumbnail.jpg");
-    const escapeDrawtext = (text) =>
-      text.replace(/\\/g, "\\\\\\\\").replace(/:/g, "\\:").replace(/'/g, "'\\\\\\''")
-        .replace(/\[/g, "\\[").replace(/\]/g, "\\]").replace(/,/g, "\\,").replace(/;/g, "\\;");
+    const thumbnailReport = await renderThumbnail({
+      backgroundPath: imagePath,
+      template: thumbnail.template,
+      texts: { vibe: sanitizedVibe, subtitle: sanitizedSubtitle, ...thumbnail.texts },
+      imagePaths: getImagePaths(thumbnail.images, thumbnailImagePaths),
+      width: profile.thumbnail.width,
+      height: profile.thumbnail.height,
+      crop: profile.crop,
+      autoContrast: thumbnail.autoContrast,
+      safeArea: thumbnail.safeArea,
+      outPath: thumbnailFile,
+    });
+    const thumbStats = await fs.stat(thumbnailFile);
+    console.log(`[Thumbnail] Created with template '${thumbnailReport.template}' (${(thumbStats.size / 1024).toFixed(2)} KB)`);
 
-    const escapedVibe = escapeDrawtext(sanitizedVibe);
-    const escapedSubtitle = escapeDrawtext(sanitizedSubtitle);
+    // A/B variants from the same background
+    const thumbnailVariants = variants
+      ? await renderThumbnailVariants({
+        variants,
+        backgroundPath: imagePath,
+        texts: { vibe: sanitizedVibe, subtitle: sanitizedSubtitle },
+        imagePathsByUrl: thumbnailImagePaths,
+        width: profile.thumbnail.width,
+        height: profile.thumbnail.height,
+        crop: profile.crop,
+        outDir: jobDir,
+      })
+      : [];
+    if (thumbnailVariants.length > 0) {
+      console.log(`[Thumbnail] ${thumbnailVariants.length} variants created: ${thumbnailVariants.map((v) => v.id).join(", ")}`);
+    }
 
-    // Try platform-specific bold font
-    const winFont = "C:/Windows/Fonts/arialbd.ttf";
-    const linuxFont = "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf";
-    let fontFile = process.platform === "win32" && fs.existsSync(winFont) ? winFont : linuxFont;
+    // Teaser title: the registry's bold sans, or a font that has the title's glyphs (e.g. CJK)
+    const { font: teaserFont, missing: teaserMissing } = pickFont("sans-bold", sanitizedVibe);
 
-    const textFilter =
-      `drawtext=fontfile='${fontFile}':text='${escapedVibe}':fontsize=92:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2-80:borderw=3:bordercolor=black,` +
-      `drawtext=fontfile='${fontFile}':text='${escapedSubtitle}':fontsize=68:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2+40:borderw=2:bordercolor=black`;
+    timings.thumbnailSec = secondsSince(thumbnailStartedAt);
 
-    try {
-      const thumbCmd = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${imagePath}" ` +
-        `-vf "scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,${textFilter}" ` +
-        `-frames:v 1 -q:v 2 "${thumbnailFile}"`;
-      await runCommand(thumbCmd, 60 * 1000);
-      const ts = await fs.stat(thumbnailFile);
-      console.log(`[Thumbnail] Created with text (${(ts.size / 1024).toFixed(2)} KB)`);
-    } catch (e1) {
-      console.warn(`[Thumbnail Warning] Font path failed (${e1.message}), trying default font...`);
-      const tf2 =
-        `drawtext=text='${escapedVibe}':fontsize=92:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2-80:borderw=3:bordercolor=black,` +
-        `drawtext=text='${escapedSubtitle}':fontsize=68:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2+40:borderw=2:bordercolor=black`;
+    // ---------- Teaser clip (optional) ----------
+    const teaserStartedAt = Date.now();
+    let teaserFile = null;
+    let teaserReport = null;
+    if (teaser) {
+      startStage(job, "teaser");
+      teaserFile = path.join(jobDir, "teaser.mp4");
       try {
-        const cmd2 = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${imagePath}" ` +
-          `-vf "scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,${tf2}" -frames:v 1 -q:v 2 "${thumbnailFile}"`;
-        await runCommand(cmd2, 60 * 1000);
-        console.log(`[Thumbnail] Created with default font`);
-      } catch (e2) {
-        console.warn(`[Thumbnail Warning] Default font failed (${e2.message}), creating without text...`);
-        const cmd3 = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${imagePath}" ` +
-          `-vf "scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080" -frames:v 1 -q:v 2 "${thumbnailFile}"`;
-        await runCommand(cmd3, 60 * 1000);
-        console.log(`[Thumbnail] Created without text overlay`);
+        const { startSec, durationSec } = await findTeaserWindow(finalAudio, teaser, audioDurationSec);
+        const { width, height } = teaser.profile;
+        const vibeSize = Math.round(92 * Math.min(width, height) / 1080);
+        // Shrunk and/or wrapped onto two lines to stay within 90% of the width, from h/6 down
+        const fit = teaserFont && fitText({
+          text: sanitizedVibe, fontFile: teaserFont.file, fontSize: vibeSize, minFontSize: Math.round(vibeSize / 2),
+          maxWidth: Math.round(width * 0.9), maxLines: 2, lineSpacing: 1.15,
+        });
+        const teaserText = teaser.showVibe && fit
+          ? fit.lines.map((line, i) =>
+            `drawtext=fontfile=${escapeFilterValue(teaserFont.file)}:text=${escapeDrawtext(line.text)}:fontsize=${fit.fontSize}:` +
+            `fontcolor=white:x=(w-text_w)/2:y=${Math.round(height / 6) + fit.ascent + i * fit.lineHeight}-ascent:borderw=3:bordercolor=black`
+          ).join(",")
+          : "";
+        // Reported in the response rather than silently rendering a teaser without its title
+        let titleSkipped = teaser.showVibe && !teaserFont
+          ? (teaserMissing.length ? `No installed font can draw the vibe (missing: ${teaserMissing.join(" ")})` : "Font 'sans-bold' is not installed")
+          : null;
+        const params = {
+          audioPath: finalAudio, imagePath, videoPath: backgroundLoop?.path, motion, teaser, startSec, durationSec, outPath: teaserFile,
+          onProgress: (p) => setStageProgress(job, p),
+        };
+        try {
+          await renderTeaser({ ...params, textFilter: teaserText });
+        } catch (e) {
+          if (!teaserText) throw e;
+          console.warn(`[Teaser Warning] Text overlay failed (${e.message}), rendering without text...`);
+          titleSkipped = `Text overlay failed: ${e.message}`;
+          await renderTeaser(params);
+        }
+        teaserReport = { startSec, durationSec, window: teaser.window || "explicit", profile: teaser.profile.name };
+        if (titleSkipped) teaserReport.titleSkipped = titleSkipped;
+        console.log(`[Teaser] ${durationSec}s from ${startSec}s (${teaserReport.window}, ${teaser.profile.name})`);
+      } catch (err) {
+        console.error(`[Teaser Error] ${err.message}`);
+        throw new Error(`Failed to render teaser clip`);
       }
+      timings.teaserSec = secondsSince(teaserStartedAt);
     }
+    timings.totalSec = secondsSince(startedAt);
+    console.log(`[Timings] ${JSON.stringify(timings)}`);
 
     // ---------- Response (S3 or local) ----------
     const vStats = await fs.stat(videoFile);
@@ -416,72 +845,136 @@ const Convert = async (req, res) => {
     const videoSizeMB = (vStats.size / 1024 / 1024).toFixed(2);
     console.log(`[Response] Video file ready - Size: ${videoSizeMB} MB`);
 
+    let result;
     if (isS3Configured()) {
+      startStage(job, "upload");
       console.log(`[S3] Uploading video and thumbnail to S3...`);
       const ts = Date.now();
       const videoKey = `videos/${jobId}/final_video_${ts}.mp4`;
       const thumbKey = `videos/${jobId}/thumbnail_${ts}.jpg`;
       const videoUrl = await uploadToS3(videoFile, videoKey);
       const thumbUrl = await uploadToS3(thumbnailFile, thumbKey, "image/jpeg");
+      const teaserUrl = teaserFile ? await uploadToS3(teaserFile, `videos/${jobId}/teaser_${ts}.mp4`) : undefined;
       const tStats = await fs.stat(thumbnailFile);
+      const variantsReport = [];
+      for (const v of thumbnailVariants) {
+        variantsReport.push({
+          id: v.id,
+          url: await uploadToS3(v.path, `videos/${jobId}/thumbnail_${v.id}_${ts}.jpg`, "image/jpeg"),
+          template: v.template,
+          crop: v.crop,
+          focalPoint: v.focalPoint || undefined,
+          fallback: v.fallback || undefined,
+          adjustments: v.adjustments || undefined,
+        overflow: v.overflow || undefined,
+          overflow: v.overflow || undefined,
+        });
+      }
 
-      res.json({
+      result = {
         success: true,
         message: "Video and thumbnail created successfully",
         videoUrl,
         thumbnailUrl: thumbUrl,
+        teaserUrl,
         videoSize: `${videoSizeMB} MB`,
         thumbnailSize: `${(tStats.size / 1024).toFixed(2)} KB`,
+        variants: variants ? variantsReport : undefined,
+        chapters,
+        tracklist,
+        loudness: loudnessReport,
+        silenceTrim: trimSilence ? silenceReport : undefined,
+        profile: profile.name,
+        teaser: teaserReport || undefined,
+        thumbnail: thumbnailReport,
+        lowerThirds: lowerThirdsReport || undefined,
+        metadata: metadataTags,
+        encoding: encodingReport,
+        timings,
+        backgroundLoop: backgroundLoop
+          ? { source: loopSource.type, lengthSec: backgroundLoop.lengthSec, crossfadeSec: backgroundLoop.crossfadeSec }
+          : undefined,
         jobId,
         timestamp: new Date().toISOString(),
-      });
+      };
     } else {
-      const protocol = req.protocol || "http";
-      const host = req.get("host") || "localhost:5000";
-      const baseUrl = `${protocol}://${host}`;
       const tStats = await fs.stat(thumbnailFile);
+      const variantsReport = thumbnailVariants.map((v) => ({
+        id: v.id,
+        url: `${baseUrl}/api/ffmpeg/download/thumbnail/${jobId}/${v.id}`,
+        template: v.template,
+        crop: v.crop,
+        focalPoint: v.focalPoint || undefined,
+        fallback: v.fallback || undefined,
+        adjustments: v.adjustments || undefined,
+        overflow: v.overflow || undefined,
+      }));
 
-      res.json({
+      result = {
         success: true,
         message: "Video and thumbnail created successfully",
         videoUrl: `${baseUrl}/api/ffmpeg/download/video/${jobId}`,
         thumbnailUrl: `${baseUrl}/api/ffmpeg/download/thumbnail/${jobId}`,
+        teaserUrl: teaserFile ? `${baseUrl}/api/ffmpeg/download/teaser/${jobId}` : undefined,
         videoSize: `${videoSizeMB} MB`,
         thumbnailSize: `${(tStats.size / 1024).toFixed(2)} KB`,
+        variants: variants ? variantsReport : undefined,
+        chapters,
+        tracklist,
+        loudness: loudnessReport,
+        silenceTrim: trimSilence ? silenceReport : undefined,
+        profile: profile.name,
+        teaser: teaserReport || undefined,
+        thumbnail: thumbnailReport,
+        lowerThirds: lowerThirdsReport || undefined,
+        metadata: metadataTags,
+        encoding: encodingReport,
+        timings,
+        backgroundLoop: backgroundLoop
+          ? { source: loopSource.type, lengthSec: backgroundLoop.lengthSec, crossfadeSec: backgroundLoop.crossfadeSec }
+          : undefined,
         jobId,
         timestamp: new Date().toISOString(),
         note: "For production use, configure S3 upload in .env file",
-      });
+      };
       console.log(`[Success] Video and thumbnail created - download URLs generated`);
     }
 
     const finalSize = await getTempDirSize();
-    console.log(`[STORAGE] Final temp directory size: ${(finalSize / 1024 / 1024).toFixed(2)} MB`);
-
-    // NOTE: No immediate cleanup by design (you clean on next request)
+    console.log(`[STORAGE] Temp directory size: ${(finalSize / 1024 / 1024).toFixed(2)} MB`);
 
+    // Files stay for the download links until the sweeper expires the job
+    completeJob(job, result);
+    return result;
   } catch (err) {
-    console.error(`[ERROR] Video creation failed for job ${jobId}: ${err.message}`);
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: "Video creation failed",
-        details: err.message,
-        jobId: jobId || "unknown",
-      });
-    }
-    // No cleanup here; your policy is to clean on next call
+    failJob(job, err);
+    throw err;
+  } finally {
+    releaseJobDir(jobId);
   }
 };
 
 // ---------- Storage info ----------
 const getStorageInfo = async (req, res) => {
   try {
-    const tempSize = await getTempDirSize();
-    const dirs = (await fs.pathExists(TEMP_DIR)) ? await fs.readdir(TEMP_DIR) : [];
+    const entries = (await listJobDirs()).sort((a, b) => a.createdAt - b.createdAt);
+    const tempSize = entries.reduce((sum, e) => sum + e.sizeBytes, 0);
+    const now = Date.now();
     res.json({
       tempDirectorySize: `${(tempSize / 1024 / 1024).toFixed(2)} MB`,
       tempDirectorySizeBytes: tempSize,
-      activeTempDirectories: dirs.length,
+      activeTempDirectories: entries.length,
+      activeJobs: entries.filter((e) => e.active).length,
+      jobTtlMinutes: JOB_TTL_MIN,
+      highWaterMarkMB: HIGH_WATER_MB,
+      jobs: entries.map((e) => ({
+        jobId: e.jobId,
+        active: e.active,
+        ageSec: Math.round((now - e.createdAt) / 1000),
+        size: `${(e.sizeBytes / 1024 / 1024).toFixed(2)} MB`,
+        sizeBytes: e.sizeBytes,
+        expiresInSec: e.expiresAt === null ? null : Math.max(0, Math.round((e.expiresAt - now) / 1000)),
+      })),
       tempDirectoryPath: TEMP_DIR,
       lastChecked: new Date().toISOString(),
     });
@@ -491,6 +984,15 @@ const getStorageInfo = async (req, res) => {
   }
 };
 
+// ---------- Job status ----------
+const getJobStatus = async (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", message: "Unknown job ID, or the job finished more than a day ago or before a restart." });
+  }
+  res.json(describeJob(job));
+};
+
 // ---------- Downloads ----------
 const downloadVideo = async (req, res) => {
   try {
@@ -523,16 +1025,19 @@ const downloadVideo = async (req, res) => {
 
 const downloadThumbnail = async (req, res) => {
   try {
-    const { jobId } = req.params;
-    if (!jobId) return res.status(400).json({ error: "Job ID is required" });
+    const { jobId, variantId } = req.params;
+    if (!JOB_ID_RE.test(jobId)) return res.status(400).json({ error: "Invalid job ID" });
+    if (variantId !== undefined && !VARIANT_ID_RE.test(variantId)) {
+      return res.status(400).json({ error: "Invalid variant ID" });
+    }
     const jobDir = path.join(TEMP_DIR, jobId);
-    const thumbnail = path.join(jobDir, "thumbnail.jpg");
+    const thumbnail = path.join(jobDir, variantId ? `thumbnail_${variantId}.jpg` : "thumbnail.jpg");
     if (!(await fs.pathExists(thumbnail))) {
       return res.status(404).json({ error: "Thumbnail not found", message: "Thumbnail may have been cleaned up. Please create a new video." });
     }
     const stats = await fs.stat(thumbnail);
     res.setHeader("Content-Type", "image/jpeg");
-    res.setHeader("Content-Disposition", `inline; filename="thumbnail_${jobId}.jpg"`);
+    res.setHeader("Content-Disposition", `inline; filename="thumbnail_${jobId}${variantId ? `_${variantId}` : ""}.jpg"`);
     res.setHeader("Content-Length", stats.size);
     res.setHeader("Cache-Control", "public, max-age=3600");
 
@@ -549,4 +1054,33 @@ const downloadThumbnail = async (req, res) => {
   }
 };
 
-module.exports = { Convert, getStorageInfo, downloadVideo, downloadThumbnail };
+const downloadTeaser = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!JOB_ID_RE.test(jobId)) return res.status(400).json({ error: "Invalid job ID" });
+    const jobDir = path.join(TEMP_DIR, jobId);
+    const teaserFile = path.join(jobDir, "teaser.mp4");
+    if (!(await fs.pathExists(teaserFile))) {
+      return res.status(404).json({ error: "Teaser not found", message: "Teaser was not requested or has been cleaned up." });
+    }
+    const stats = await fs.stat(teaserFile);
+    res.setHeader("Content-Type", "video/mp4");
+    res.setHeader("Content-Disposition", `attachment; filename="teaser_${jobId}.mp4"`);
+    res.setHeader("Content-Length", stats.size);
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("Cache-Control", "public, max-age=3600");
+
+    const stream = fs.createReadStream(teaserFile, { highWaterMark: 64 * 1024 });
+    stream.on("error", (e) => {
+      console.error(`[Download Error] Teaser: ${e.message}`);
+      if (!res.headersSent) res.status(500).json({ error: "Failed to stream teaser" });
+    });
+    stream.pipe(res);
+    console.log(`[Download] Streaming teaser for job: ${jobId}`);
+  } catch (e) {
+    console.error(`[Download Error] ${e.message}`);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to download teaser", details: e.message });
+  }
+};
+
+module.exports = { Convert, getStorageInfo, getJobStatus, downloadVideo, downloadThumbnail, downloadTeaser };
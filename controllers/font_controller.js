@@ -0,0 +1,87 @@
+const fs = require("fs-extra");
+const path = require("path");
+const axios = require("axios");
+const { UPLOADS_DIR, readFontInfo, parseFontMetrics, registerFont, listFonts, listAliases } = require("../helpers/fontRegistry");
+
+const MAX_FONT_BYTES = 20 * 1024 * 1024; // 20MB
+
+const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\/.+/i.test(u);
+
+// "Open Sans" 700 italic → "open-sans-700-italic"
+const fontFileName = ({ family, weight, style }) =>
+  `${family.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "font"}-${weight}-${style}`;
+
+// ---------- List ----------
+const getFonts = async (req, res) => {
+  res.json({
+    aliases: listAliases(),
+    fonts: listFonts(),
+    usage: "Reference a font by alias, family name, or { family, weight, style } in 'thumbnail.overrides.layers.<slot>.font' or 'lowerThirds.font'.",
+  });
+};
+
+// ---------- Upload ----------
+// Body: { url } of a .ttf/.otf file, or { data } with the file base64-encoded
+const uploadFont = async (req, res) => {
+  try {
+    const { url, data } = req.body || {};
+    if ((url === undefined) === (data === undefined)) {
+      return res.status(400).json({ error: "Send either 'url' (HTTP/HTTPS link to a .ttf/.otf file) or 'data' (base64 font file)." });
+    }
+
+    let buf;
+    if (url !== undefined) {
+      if (!isHttpUrl(url)) return res.status(400).json({ error: "'url' must be an HTTP/HTTPS URL." });
+      try {
+        const response = await axios.get(url, {
+          responseType: "arraybuffer",
+          timeout: 60 * 1000,
+          maxContentLength: MAX_FONT_BYTES,
+          validateStatus: (s) => s >= 200 && s < 400,
+        });
+        buf = Buffer.from(response.data);
+      } catch (err) {
+        console.error(`[Font Upload Error] URL: ${url}`);
+        return res.status(400).json({ error: `Failed to download font: ${err.message}` });
+      }
+    } else {
+      if (typeof data !== "string" || !data) return res.status(400).json({ error: "'data' must be a base64 string." });
+      buf = Buffer.from(data, "base64");
+    }
+    if (buf.length > MAX_FONT_BYTES) {
+      return res.status(400).json({ error: `Font is too large (max ${MAX_FONT_BYTES / 1024 / 1024} MB).` });
+    }
+
+    // Parse everything registerFont needs before touching the file an earlier upload may own
+    let info;
+    try {
+      info = readFontInfo(buf);
+      parseFontMetrics(buf);
+    } catch (err) {
+      return res.status(400).json({ error: `Not a usable font: ${err.message}` });
+    }
+
+    // Bundled fonts are part of the deployment; uploads may replace system fonts and earlier uploads
+    const bundled = listFonts()
+      .find((f) => f.family.toLowerCase() === info.family.toLowerCase())
+      ?.variants.find((v) => v.weight === info.weight && v.style === info.style && v.source === "bundled");
+    if (bundled) {
+      return res.status(409).json({ error: `"${info.family}" ${info.weight} ${info.style} is a bundled font and can't be replaced by an upload.` });
+    }
+
+    const ext = buf.readUInt32BE(0) === 0x4f54544f ? ".otf" : ".ttf";
+    const filePath = path.join(UPLOADS_DIR, `${fontFileName(info)}${ext}`);
+    await fs.writeFile(filePath, buf);
+    const entry = registerFont(filePath, "uploaded");
+    console.log(`[Fonts] Uploaded "${entry.family}" ${entry.weight} ${entry.style} → ${path.basename(filePath)}`);
+
+    res.status(201).json({
+      font: { family: entry.family, weight: entry.weight, style: entry.style, source: entry.source },
+    });
+  } catch (e) {
+    console.error(`[Font Upload Error] ${e.message}`);
+    res.status(500).json({ error: "Failed to upload font", details: e.message });
+  }
+};
+
+module.exports = { getFonts, uploadFont };
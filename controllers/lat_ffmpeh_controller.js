@@ -2,39 +2,32 @@ const fs = require("fs-extra");
 const path = require("path");
 const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
-const { exec } = require("child_process");
-const { promisify } = require("util");
 const { spawn } = require("child_process");
-
-const ffmpegInstaller = require("@ffmpeg-installer/ffmpeg");
 const { uploadToS3, isS3Configured } = require("../helpers/s3Upload");
-
-const execAsync = promisify(exec);
-const TEMP_DIR = path.join(process.cwd(), "temp");
-
-// ---------- FFmpeg PATH ----------
-function getFfmpegPath() {
-    const linuxPath = "/usr/bin/ffmpeg";
-    return fs.existsSync(linuxPath) ? linuxPath : ffmpegInstaller.path;
-    // return ffmpegInstaller.path
-}
-const FFMPEG_PATH = getFfmpegPath();
-
-// ---------- Shell helper ----------
-const runCommand = async (cmd, label = "") => {
-    console.log(`\n[FFmpeg Start] ${label}`);
-    console.log(`[FFmpeg CMD] ${cmd}`);
-    const { stdout, stderr } = await execAsync(cmd, {
-        timeout: 10 * 60 * 1000,
-        maxBuffer: 1024 * 1024 * 64,
-    });
-    if (stdout) console.log(stdout);
-    if (stderr) console.log(stderr);
-    console.log(`[FFmpeg Done] ${label}\n`);
-};
+const { FFMPEG_PATH, runCommand, probeDuration, writeFilterScript } = require("../helpers/ffmpegUtils");
+const { parseTransition, getTrackOffsets, mergeTracks } = require("../helpers/audioTransitions");
+const { buildChapters, formatTracklist } = require("../helpers/chapters");
+const { parseLoudness, normalizeTrackLoudness, normalizeMaster } = require("../helpers/loudness");
+const { parseTrimSilence, trimEdgeSilence } = require("../helpers/silenceTrim");
+const { parseAmbience, mixAmbience } = require("../helpers/ambience");
+const { AUDIO_FORMATS, parseAudioFormat, getEncodeArgs } = require("../helpers/audioFormats");
+const { parseMotion, buildMotionFilter } = require("../helpers/videoMotion");
+const { parseProfile } = require("../helpers/outputProfiles");
+const { parseVisualizer, buildVisualizerGraph } = require("../helpers/visualizer");
+const { parseTracks, getTrackTitle, applyTrackEdits } = require("../helpers/trackList");
+const { parseMetadata, parseChapterList, writeMetadataFile, hasCustomTags } = require("../helpers/mediaMetadata");
+const { parseRenderStrategy, encodeStillSegment, extendSegment } = require("../helpers/segmentRender");
+const {
+    parseThumbnailText, parseThumbnailOptions, parseThumbnailVariants, checkThumbnailTexts,
+} = require("../helpers/thumbnailTemplates");
+const {
+    renderThumbnail, downloadThumbnailImages, getImagePaths, renderThumbnailVariants,
+} = require("../helpers/thumbnailRenderer");
+const { TEMP_DIR, JOB_ID_RE, createJobDir, releaseJobDir } = require("../helpers/tempStorage");
 
 // ---------- Download helper ----------
 const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\//i.test(u);
+const secondsSince = (startedAt) => Number(((Date.now() - startedAt) / 1000).toFixed(2));
 const downloadFile = async (url, filePath) => {
     const res = await axios.get(url, { responseType: "arraybuffer" });
     await fs.writeFile(filePath, res.data);
@@ -44,48 +37,60 @@ const downloadFile = async (url, filePath) => {
 // ---------- Sanitize ----------
 async function sanitizeMp3ToWav(mp3Path, wavPath) {
     const cmd = `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -err_detect ignore_err -i "${mp3Path}" -vn -acodec pcm_s16le -ar 44100 -ac 2 "${wavPath}"`;
-    await runCommand(cmd, `Sanitize MP3 → WAV (${path.basename(mp3Path)})`);
+    await runCommand(cmd, 5 * 60 * 1000);
     return wavPath;
 }
 
 // ---------- Core controller ----------
 const ProcessAudio = async (req, res) => {
-
-
-    // 🧹 Cleanup old temp files before starting new job
-    try {
-        if (await fs.pathExists(TEMP_DIR)) {
-            const dirs = await fs.readdir(TEMP_DIR);
-            for (const d of dirs) {
-                const dirPath = path.join(TEMP_DIR, d);
-                await fs.remove(dirPath);
-                console.log(`[CLEANUP] Removed old temp directory: ${dirPath}`);
-            }
-        }
-        console.log(`[CLEANUP] Temp folder emptied successfully before new job`);
-    } catch (cleanupErr) {
-        console.error(`[CLEANUP ERROR] Failed to clean temp folder: ${cleanupErr.message}`);
-    }
-
-
-    let jobId = uuidv4();
-    let jobDir = path.join(TEMP_DIR, jobId);
-    await fs.ensureDir(jobDir);
+    const jobId = uuidv4();
 
     try {
-        const { files } = req.body;
+        const {
+            files, transition: transitionInput, loudness: loudnessInput,
+            trimSilence: trimSilenceInput, ambience: ambienceInput,
+            format, bitrateKbps, sampleRate, metadata: metadataInput,
+        } = req.body;
         if (!files || !Array.isArray(files) || files.length === 0) {
             return res.status(400).json({ error: "Please provide an array of audio URLs" });
         }
+        const { tracks, error: tracksError } = parseTracks(files);
+        if (tracksError) {
+            return res.status(400).json({ error: tracksError });
+        }
+        const { transition, error: transitionError } = parseTransition(transitionInput);
+        if (transitionError) {
+            return res.status(400).json({ error: transitionError });
+        }
+        const { loudness, error: loudnessError } = parseLoudness(loudnessInput);
+        if (loudnessError) {
+            return res.status(400).json({ error: loudnessError });
+        }
+        const { trimSilence, error: trimSilenceError } = parseTrimSilence(trimSilenceInput);
+        if (trimSilenceError) {
+            return res.status(400).json({ error: trimSilenceError });
+        }
+        const { ambience, error: ambienceError } = parseAmbience(ambienceInput);
+        if (ambienceError) {
+            return res.status(400).json({ error: ambienceError });
+        }
+        const { audioFormat, error: formatError } = parseAudioFormat({ format, bitrateKbps, sampleRate });
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        const { metadata, error: metadataError } = parseMetadata(metadataInput);
+        if (metadataError) {
+            return res.status(400).json({ error: metadataError });
+        }
 
+        const jobDir = await createJobDir(jobId);
         console.log(`🎧 [AudioJob] Starting audio processing job: ${jobId}`);
         console.log(`[AudioJob] Total files: ${files.length}\n`);
 
         // Step 1: Download all MP3s
         const mp3Paths = [];
-        for (let i = 0; i < files.length; i++) {
-            const url = files[i];
-            if (!isHttpUrl(url)) throw new Error(`Invalid URL: ${url}`);
+        for (let i = 0; i < tracks.length; i++) {
+            const { url } = tracks[i];
             const p = path.join(jobDir, `audio_${i}.mp3`);
             console.log(`[Download] Fetching ${url}`);
             await downloadFile(url, p);
@@ -94,42 +99,102 @@ const ProcessAudio = async (req, res) => {
 
         // Step 2: Sanitize to WAV
         const wavPaths = [];
+        const durations = [];
         for (let i = 0; i < mp3Paths.length; i++) {
             const inp = mp3Paths[i];
             const out = path.join(jobDir, `audio_${i}.wav`);
             await sanitizeMp3ToWav(inp, out);
             wavPaths.push(out);
+            durations.push(await probeDuration(out));
         }
 
-        // Step 3: Generate silence + concat list
-        const listFile = path.join(jobDir, "list.txt");
-        const silence = path.join(jobDir, "silence.wav");
-        await runCommand(
-            `"${FFMPEG_PATH}" -y -f lavfi -i anullsrc=r=44100:cl=stereo -t 1 -acodec pcm_s16le "${silence}"`,
-            "Create 1-second silence"
-        );
+        // Step 2b: Per-track trim / gain / fades
+        for (let i = 0; i < wavPaths.length; i++) {
+            const edited = await applyTrackEdits(wavPaths[i], tracks[i], durations[i], path.join(jobDir, `audio_${i}_edit.wav`), i);
+            if (edited !== wavPaths[i]) {
+                wavPaths[i] = edited;
+                durations[i] = await probeDuration(edited);
+            }
+        }
 
-        const lines = [];
-        wavPaths.forEach((w, i) => {
-            lines.push(`file '${w}'`);
-            if (i < wavPaths.length - 1) lines.push(`file '${silence}'`);
-        });
-        await fs.writeFile(listFile, lines.join("\n"));
-        console.log(`[Concat] Created concat list with ${lines.length} entries`);
+        // Step 2c: Leading/trailing silence trimming (opt-in)
+        const silenceReport = [];
+        if (trimSilence) {
+            for (let i = 0; i < wavPaths.length; i++) {
+                const result = await trimEdgeSilence(wavPaths[i], trimSilence, durations[i], path.join(jobDir, `audio_${i}_trim.wav`));
+                if (result.path !== wavPaths[i]) {
+                    wavPaths[i] = result.path;
+                    durations[i] = await probeDuration(result.path);
+                }
+                const { headSec, tailSec, skipped } = result;
+                silenceReport.push({ index: i + 1, title: getTrackTitle(tracks[i], i), headSec, tailSec, skipped });
+            }
+        }
 
-        // Step 4: Merge + Normalize
-        const mergedWav = path.join(jobDir, "merged.wav");
-        const finalAudio = path.join(jobDir, "final_audio.m4a");
+        // Step 2d: Per-track loudness matching (two-pass loudnorm)
+        const trackLoudness = [];
+        if (loudness.perTrack) {
+            for (let i = 0; i < wavPaths.length; i++) {
+                const { path: normalized, report } = await normalizeTrackLoudness(
+                    wavPaths[i], loudness, path.join(jobDir, `audio_${i}_norm.wav`), tracks[i].gainDb
+                );
+                wavPaths[i] = normalized;
+                trackLoudness.push({ index: i + 1, title: getTrackTitle(tracks[i], i), ...report });
+            }
+        }
 
-        await runCommand(
-            `"${FFMPEG_PATH}" -y -f concat -safe 0 -i "${listFile}" -acodec pcm_s16le "${mergedWav}"`,
-            "Merging WAVs"
-        );
+        // Step 3: Merge with the requested transition (gap / crossfade / none)
+        let mergedWav = path.join(jobDir, "merged.wav");
+        const finalAudio = path.join(jobDir, `final_audio.${audioFormat.ext}`);
 
-        await runCommand(
-            `"${FFMPEG_PATH}" -y -i "${mergedWav}" -af "loudnorm=I=-16:TP=-1.5:LRA=11" -c:a aac -b:a 128k -ar 44100 "${finalAudio}"`,
-            "Normalizing final audio"
-        );
+        console.log(`\n[FFmpeg Start] Merging WAVs (${transition.mode}, ${transition.durationSec}s)`);
+        await mergeTracks({ wavPaths, durations, transition, jobDir, outPath: mergedWav });
+        console.log(`[FFmpeg Done] Merging WAVs\n`);
+
+        const chapters = buildChapters({
+            titles: tracks.map(getTrackTitle),
+            offsets: getTrackOffsets(durations, transition),
+            durations,
+        });
+        const tracklist = formatTracklist(chapters);
+
+        // Step 3b: Ambience bed under the whole mix (before loudnorm so the target holds)
+        if (ambience) {
+            const ambiencePath = path.join(jobDir, "ambience.audio");
+            console.log(`[Download] Fetching ambience ${ambience.url}`);
+            await downloadFile(ambience.url, ambiencePath);
+            console.log(`\n[FFmpeg Start] Mixing ambience bed (${ambience.volumeDb} dB${ambience.duck ? ", ducked" : ""})`);
+            mergedWav = await mixAmbience({
+                musicPath: mergedWav,
+                ambiencePath,
+                ambience,
+                durationSec: await probeDuration(mergedWav),
+                outPath: path.join(jobDir, "merged_ambience.wav"),
+            });
+            console.log(`[FFmpeg Done] Mixing ambience bed\n`);
+        }
+
+        // Step 4: Normalize (tags and chapter markers are embedded in the same encode)
+        const metadataTags = { description: tracklist, ...metadata.fields, ...metadata.tags };
+        const metadataFile = await writeMetadataFile(path.join(jobDir, "metadata.txt"), {
+            tags: metadataTags, chapters, totalSec: await probeDuration(mergedWav),
+        });
+        // Custom keys only survive in M4A as mdta tags
+        const movflags = audioFormat.ext === "m4a" && hasCustomTags(metadata) ? " -movflags +use_metadata_tags" : "";
+        console.log(`\n[FFmpeg Start] Normalizing final audio`);
+        const masterLoudness = await normalizeMaster({
+            inputPath: mergedWav,
+            outputPath: finalAudio,
+            loudness,
+            encodeArgs: getEncodeArgs(audioFormat) + movflags,
+            metadataPath: metadataFile,
+        });
+        console.log(`[FFmpeg Done] Normalizing final audio (${masterLoudness.method})\n`);
+        const loudnessReport = {
+            target: { integratedLufs: loudness.integratedLufs, truePeakDb: loudness.truePeakDb, lra: loudness.lra },
+            tracks: trackLoudness,
+            master: masterLoudness,
+        };
 
         const st = await fs.stat(finalAudio);
         console.log(`[Final Audio] Ready (${(st.size / 1024 / 1024).toFixed(2)} MB)`);
@@ -137,8 +202,8 @@ const ProcessAudio = async (req, res) => {
         // Step 5: Upload to S3
         if (isS3Configured()) {
             console.log(`[S3] Uploading final audio to S3...`);
-            const key = `audio/${jobId}/final_audio_${Date.now()}.m4a`;
-            const audioUrl = await uploadToS3(finalAudio, key, "audio/mp4");
+            const key = `audio/${jobId}/final_audio_${Date.now()}.${audioFormat.ext}`;
+            const audioUrl = await uploadToS3(finalAudio, key, audioFormat.contentType);
 
             console.log(`[S3] Upload complete: ${audioUrl}`);
 
@@ -147,100 +212,141 @@ const ProcessAudio = async (req, res) => {
                 message: "Audio processed and uploaded successfully",
                 audioUrl,
                 fileSize: `${(st.size / 1024 / 1024).toFixed(2)} MB`,
+                format: audioFormat.format,
+                bitrateKbps: audioFormat.bitrateKbps,
+                sampleRate: audioFormat.sampleRate,
+                contentType: audioFormat.contentType,
+                chapters,
+                tracklist,
+                loudness: loudnessReport,
+                silenceTrim: trimSilence ? silenceReport : undefined,
+                metadata: metadataTags,
                 jobId,
             });
         } else {
             console.log(`[LOCAL] S3 not configured — serving local link`);
             const protocol = req.protocol || "http";
             const host = req.get("host") || "localhost:5000";
-            const localUrl = `${protocol}://${host}/api/audio/download/${jobId}`;
+            const localUrl = `${protocol}://${host}/api/ffmpeg/download/audio/${jobId}`;
 
             return res.json({
                 success: true,
                 message: "Audio processed successfully (local mode)",
                 audioUrl: localUrl,
                 fileSize: `${(st.size / 1024 / 1024).toFixed(2)} MB`,
+                format: audioFormat.format,
+                bitrateKbps: audioFormat.bitrateKbps,
+                sampleRate: audioFormat.sampleRate,
+                contentType: audioFormat.contentType,
+                chapters,
+                tracklist,
+                loudness: loudnessReport,
+                silenceTrim: trimSilence ? silenceReport : undefined,
+                metadata: metadataTags,
                 jobId,
             });
         }
     } catch (err) {
         console.error(`[AudioJob Error] ${err.message}`);
         res.status(500).json({ error: err.message });
+    } finally {
+        releaseJobDir(jobId);
     }
 };
 
-// ---------- Escape text for FFmpeg ----------
-const escapeText = (text) =>
-    text
-        .replace(/\\/g, "\\\\\\\\")
-        .replace(/:/g, "\\:")
-        .replace(/'/g, "'\\\\\\''")
-        .replace(/\[/g, "\\[")
-        .replace(/\]/g, "\\]")
-        .replace(/,/g, "\\,")
-        .replace(/;/g, "\\;");
-
 // ---------- Thumbnail Controller ----------
 const CreateThumbnail = async (req, res) => {
-    try {
-        // 🧹 Step 1: Clean /temp folder
-        if (await fs.pathExists(TEMP_DIR)) {
-            await fs.emptyDir(TEMP_DIR);
-            console.log(`[CLEANUP] Temp folder emptied before new thumbnail job`);
-        } else {
-            await fs.ensureDir(TEMP_DIR);
-            console.log(`[INIT] Temp folder created`);
-        }
+    const jobId = uuidv4();
 
-        const { imageUrl, vibe, subtitle } = req.body;
+    try {
+        const {
+            imageUrl, vibe, subtitle, profile: profileInput, thumbnail: thumbnailInput, variants: variantsInput,
+        } = req.body;
         if (!imageUrl || !vibe || !subtitle)
             return res.status(400).json({ error: "imageUrl, vibe, and subtitle are required." });
-
-        console.log(`[Thumbnail Job] Started with image: ${imageUrl}`);
-
-        // Step 2: Download image directly in /temp
+        const { text: vibeText, error: vibeError } = parseThumbnailText(vibe, "vibe");
+        if (vibeError)
+            return res.status(400).json({ error: vibeError });
+        const { text: subtitleText, error: subtitleError } = parseThumbnailText(subtitle, "subtitle");
+        if (subtitleError)
+            return res.status(400).json({ error: subtitleError });
+        const { profile, error: profileError } = parseProfile(profileInput);
+        if (profileError)
+            return res.status(400).json({ error: profileError });
+        const { thumbnail, error: thumbnailError } = parseThumbnailOptions(thumbnailInput);
+        if (thumbnailError)
+            return res.status(400).json({ error: thumbnailError });
+        const { variants, error: variantsError } = parseThumbnailVariants(variantsInput, thumbnailInput);
+        if (variantsError)
+            return res.status(400).json({ error: variantsError });
+        const texts = { vibe: vibeText, subtitle: subtitleText };
+        const textError = checkThumbnailTexts(thumbnail, variants, texts);
+        if (textError)
+            return res.status(400).json({ error: textError });
+
+        // Step 1: The job's own directory
+        const jobDir = await createJobDir(jobId);
+        console.log(`[Thumbnail Job] ${jobId} started with image: ${imageUrl}`);
+
+        // Step 2: Download image
         const ext = (imageUrl.split(".").pop() || "jpg").split("?")[0];
-        const imagePath = path.join(TEMP_DIR, `background.${ext}`);
+        const imagePath = path.join(jobDir, `background.${ext}`);
         await downloadFile(imageUrl, imagePath);
-        console.log(`[Download] Image downloaded to temp folder`);
-
-        // Step 3: Prepare overlay text
-        const escapedVibe = escapeText(vibe.trim());
-        const escapedSubtitle = escapeText(subtitle.trim());
-        const thumbnailFile = path.join(TEMP_DIR, "thumbnail.jpg");
-
-        const winFont = "C:/Windows/Fonts/arialbd.ttf";
-        const linuxFont = "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf";
-        const fontFile = fs.existsSync(linuxFont) ? linuxFont : winFont;
-
-        const textFilter =
-            `drawtext=fontfile='${fontFile}':text='${escapedVibe}':fontsize=92:fontcolor=white:` +
-            `x=(w-text_w)/2:y=(h-text_h)/2-80:borderw=3:bordercolor=black,` +
-            `drawtext=fontfile='${fontFile}':text='${escapedSubtitle}':fontsize=68:fontcolor=white:` +
-            `x=(w-text_w)/2:y=(h-text_h)/2+40:borderw=2:bordercolor=black`;
-
-        // Step 4: Create thumbnail
-        await runCommand(
-            `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${imagePath}" ` +
-            `-vf "scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,${textFilter}" ` +
-            `-frames:v 1 -q:v 2 "${thumbnailFile}"`,
-            "Creating Thumbnail"
+        console.log(`[Download] Image downloaded to job folder`);
+
+        // Step 3: Download logos / watermarks for the templates (optional, each URL once)
+        const imagePathsByUrl = await downloadThumbnailImages(
+            [thumbnail, ...(variants || []).map((v) => v.thumbnail)], jobDir, downloadFile
         );
 
+        // Step 4: Create thumbnail and A/B variants from the same background
+        const thumbnailFile = path.join(jobDir, "thumbnail.jpg");
+        const thumbnailReport = await renderThumbnail({
+            backgroundPath: imagePath,
+            template: thumbnail.template,
+            texts: { ...texts, ...thumbnail.texts },
+            imagePaths: getImagePaths(thumbnail.images, imagePathsByUrl),
+            width: profile.thumbnail.width,
+            height: profile.thumbnail.height,
+            crop: profile.crop,
+            autoContrast: thumbnail.autoContrast,
+            safeArea: thumbnail.safeArea,
+            outPath: thumbnailFile,
+        });
+        const renderedVariants = variants
+            ? await renderThumbnailVariants({
+                variants,
+                backgroundPath: imagePath,
+                texts,
+                imagePathsByUrl,
+                width: profile.thumbnail.width,
+                height: profile.thumbnail.height,
+                crop: profile.crop,
+                outDir: jobDir,
+            })
+            : [];
+
         const st = await fs.stat(thumbnailFile);
-        console.log(`[Thumbnail] Created successfully (${(st.size / 1024).toFixed(2)} KB)`);
+        console.log(`[Thumbnail] Created successfully (${(st.size / 1024).toFixed(2)} KB), ${renderedVariants.length} variants`);
 
         // Step 5: Upload to S3 (if configured)
         let thumbnailUrl;
+        const variantUrls = {};
         if (isS3Configured()) {
             console.log(`[S3] Uploading thumbnail...`);
-            const key = `thumbnails/thumbnail_${Date.now()}.jpg`;
-            thumbnailUrl = await uploadToS3(thumbnailFile, key, "image/jpeg");
+            const ts = Date.now();
+            thumbnailUrl = await uploadToS3(thumbnailFile, `thumbnails/thumbnail_${ts}.jpg`, "image/jpeg");
+            for (const v of renderedVariants) {
+                variantUrls[v.id] = await uploadToS3(v.path, `thumbnails/thumbnail_${ts}_${v.id}.jpg`, "image/jpeg");
+            }
             console.log(`[S3] Uploaded successfully: ${thumbnailUrl}`);
         } else {
             const protocol = req.protocol || "http";
             const host = req.get("host") || "localhost:5000";
-            thumbnailUrl = `${protocol}://${host}/temp/thumbnail.jpg`;
+            thumbnailUrl = `${protocol}://${host}/api/ffmpeg/download/thumbnail/${jobId}`;
+            for (const v of renderedVariants) {
+                variantUrls[v.id] = `${thumbnailUrl}/${v.id}`;
+            }
         }
 
         return res.json({
@@ -248,22 +354,38 @@ const CreateThumbnail = async (req, res) => {
             message: "Thumbnail created successfully",
             thumbnailUrl,
             fileSize: `${(st.size / 1024).toFixed(2)} KB`,
+            profile: profile.name,
+            template: thumbnailReport.template,
+            fallback: thumbnailReport.fallback || undefined,
+            adjustments: thumbnailReport.adjustments || undefined,
+            overflow: thumbnailReport.overflow || undefined,
+            variants: variants
+                ? renderedVariants.map((v) => ({
+                    id: v.id,
+                    url: variantUrls[v.id],
+                    template: v.template,
+                    crop: v.crop,
+                    focalPoint: v.focalPoint || undefined,
+                    fallback: v.fallback || undefined,
+                    adjustments: v.adjustments || undefined,
+                    overflow: v.overflow || undefined,
+                }))
+                : undefined,
+            jobId,
             timestamp: new Date().toISOString(),
         });
     } catch (err) {
         console.error(`[Thumbnail Error] ${err.message}`);
         res.status(500).json({ error: err.message });
+    } finally {
+        releaseJobDir(jobId);
     }
 };
 
 
 const CreateVideoFromAudio = async (req, res) => {
     const jobId = uuidv4();
-
-    // Adjust this to your desired absolute/relative dir:
-    //   const finalDir = path.join("C:\\Users\\Ahmed\\Downloads", "final_video");
-    //   const TEMP_DIR = path.join(process.cwd(), "final_video");
-    const finalDir = path.join(__dirname, "final_video");
+    const finalDir = path.join(TEMP_DIR, jobId);
 
 
     // Build file paths
@@ -272,17 +394,42 @@ const CreateVideoFromAudio = async (req, res) => {
     const audioPath = path.join(finalDir, `audio_${jobId}.m4a`);
 
     try {
-        const { audioUrl, imageUrl } = req.body || {};
+        const {
+            audioUrl, imageUrl, motion: motionInput, profile: profileInput, visualizer: visualizerInput,
+            metadata: metadataInput, chapters: chaptersInput, renderStrategy: renderStrategyInput,
+        } = req.body || {};
         if (!audioUrl || !imageUrl) {
             return res.status(400).json({ error: "Both 'audioUrl' and 'imageUrl' are required." });
         }
+        const { motion, error: motionError } = parseMotion(motionInput);
+        if (motionError) {
+            return res.status(400).json({ error: motionError });
+        }
+        const { profile, error: profileError } = parseProfile(profileInput);
+        if (profileError) {
+            return res.status(400).json({ error: profileError });
+        }
+        const { visualizer, error: visualizerError } = parseVisualizer(visualizerInput);
+        if (visualizerError) {
+            return res.status(400).json({ error: visualizerError });
+        }
+        const { metadata, error: metadataError } = parseMetadata(metadataInput);
+        if (metadataError) {
+            return res.status(400).json({ error: metadataError });
+        }
+        const { chapters, error: chaptersError } = parseChapterList(chaptersInput);
+        if (chaptersError) {
+            return res.status(400).json({ error: chaptersError });
+        }
+        const { renderStrategy, error: renderStrategyError } = parseRenderStrategy(renderStrategyInput, { motion, visualizer });
+        if (renderStrategyError) {
+            return res.status(400).json({ error: renderStrategyError });
+        }
 
-        // 1) Clean final_video dir
-        await fs.ensureDir(finalDir);
-        await fs.emptyDir(finalDir);
-        console.log("[CLEANUP] Cleared final_video directory.");
+        // 1) The job's own directory under temp/
+        await createJobDir(jobId);
 
-        // 2) Download files INTO final_video (no external helper, inline here)
+        // 2) Download files INTO the job directory (no external helper, inline here)
         const downloadFile = async (url, destPath, label) => {
             console.log(`[DOWNLOAD] ${label} -> ${destPath}`);
             const resp = await axios({ url, method: "GET", responseType: "stream", timeout: 300_000 });
@@ -303,7 +450,57 @@ const CreateVideoFromAudio = async (req, res) => {
         ]);
 
         // 3) Run FFmpeg via spawn (no buffer limits)
-        console.log("[FFMPEG] Starting render…");
+        console.log(`[FFMPEG] Starting render (profile: ${profile.name}, motion: ${motion.preset})…`);
+        const audioDurationSec = await probeDuration(audioPath);
+        const videoFilter = buildMotionFilter(motion, {
+            width: profile.width,
+            height: profile.height,
+            crop: profile.crop,
+            durationSec: audioDurationSec,
+        });
+        // Visualizer: image → [vbase], audio spectrum/waveform composited on top → [vout]
+        let filterArgs = ["-vf", videoFilter];
+        let extraInputs = [];
+        let extraInputCount = 0;
+        if (visualizer) {
+            const vis = await buildVisualizerGraph(visualizer, {
+                width: profile.width,
+                height: profile.height,
+                audioInput: 1,
+                nextInput: 2,
+                baseLabel: "vbase",
+                outLabel: "vout",
+                jobDir: finalDir,
+            });
+            const script = await writeFilterScript(
+                path.join(finalDir, `graph_${jobId}.txt`),
+                [`[0:v]${videoFilter}[vbase]`, ...vis.graph]
+            );
+            filterArgs = ["-filter_complex_script", script, "-map", "[vout]", "-map", "1:a"];
+            extraInputs = vis.loopInputs.flatMap((p) => ["-loop", "1", "-i", p]);
+            extraInputCount = vis.loopInputs.length;
+        }
+        // Tags and chapters: from the request when given, otherwise carried over from the
+        // audio itself (a /finalaudio M4A already has them)
+        let metadataSource = 1;
+        let chapterSource = 1;
+        let metadataFile = null;
+        if (metadataInput !== undefined || chapters) {
+            metadataFile = await writeMetadataFile(path.join(finalDir, `metadata_${jobId}.txt`), {
+                tags: { ...metadata.fields, ...metadata.tags },
+                chapters: chapters || [],
+                totalSec: audioDurationSec,
+            });
+            const metadataIndex = 2 + extraInputCount; // after the image, the audio and any ring maps
+            extraInputs.push("-i", metadataFile);
+            if (metadataInput !== undefined) metadataSource = metadataIndex;
+            if (chapters) chapterSource = metadataIndex;
+        }
+        const metadataArgs = [
+            "-map_metadata", String(metadataSource),
+            "-map_chapters", String(chapterSource),
+            ...(hasCustomTags(metadata) ? ["-movflags", "+use_metadata_tags"] : []),
+        ];
         const args = [
             "-y",
             "-hide_banner",
@@ -312,26 +509,75 @@ const CreateVideoFromAudio = async (req, res) => {
             "-loop", "1",             // loop the still image
             "-i", imagePath,
             "-i", audioPath,
+            ...extraInputs,
             "-c:v", "libx264",
-            "-tune", "stillimage",
+            ...(motion.preset === "none" && !visualizer ? ["-tune", "stillimage"] : []),
+            "-maxrate", `${profile.maxrateK}k`,
+            "-bufsize", `${profile.bufsizeK}k`,
             "-pix_fmt", "yuv420p",
-            "-vf", 'scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080',
+            ...filterArgs,
+            ...metadataArgs,
             "-shortest",              // stop when audio ends
+            "-t", audioDurationSec.toFixed(3), // filter graphs can overshoot -shortest
             videoPath
         ];
 
-        await new Promise((resolve, reject) => {
-            const proc = spawn(FFMPEG_PATH, args, { windowsHide: true });
+        const timings = { requestedStrategy: renderStrategy, strategy: renderStrategy };
+        const renderStartedAt = Date.now();
+        let fullRenderEstimateSec = null;
+        if (renderStrategy === "segment-loop") {
+            // The frame repeats exactly: encode it once, then stream-copy it to the audio length
+            try {
+                const encodeStartedAt = Date.now();
+                const segment = await encodeStillSegment({
+                    imagePath, frameFilter: videoFilter, profile, outPath: path.join(finalDir, `segment_${jobId}.mp4`),
+                });
+                const encodeSec = secondsSince(encodeStartedAt);
+                const copyStartedAt = Date.now();
+                const { repeats } = await extendSegment({
+                    segmentPath: segment.path,
+                    segmentSec: segment.lengthSec,
+                    audioPath,
+                    durationSec: audioDurationSec,
+                    jobDir: finalDir,
+                    outPath: videoPath,
+                    audioArgs: "-c:a aac -b:a 128k",
+                    extraInputs: metadataFile ? `-i "${metadataFile}"` : "",
+                    outputArgs: metadataArgs.join(" "),
+                });
+                timings.segment = { lengthSec: segment.lengthSec, repeats, encodeSec, copySec: secondsSince(copyStartedAt) };
+                // Not measured: the segment's encode time (FFmpeg startup included) scaled to the mix
+                fullRenderEstimateSec = (encodeSec * audioDurationSec) / segment.lengthSec;
+            } catch (err) {
+                console.error(`[FFMPEG] Segment-loop render failed (${err.message}), falling back to full render`);
+                timings.strategy = "full";
+                timings.fallbackReason = err.message;
+            }
+        }
+        if (timings.strategy === "full") {
+            await new Promise((resolve, reject) => {
+                const proc = spawn(FFMPEG_PATH, args, { windowsHide: true });
 
-            proc.stdout.on("data", d => process.stdout.write(`[FFMPEG] ${d}`));
-            proc.stderr.on("data", d => process.stderr.write(`[FFMPEG] ${d}`));
+                proc.stdout.on("data", d => process.stdout.write(`[FFMPEG] ${d}`));
+                proc.stderr.on("data", d => process.stderr.write(`[FFMPEG] ${d}`));
 
-            proc.on("error", err => reject(err));
-            proc.on("close", code => {
-                if (code === 0) return resolve();
-                reject(new Error(`FFmpeg exited with code ${code}`));
+                proc.on("error", err => reject(err));
+                proc.on("close", code => {
+                    if (code === 0) return resolve();
+                    reject(new Error(`FFmpeg exited with code ${code}`));
+                });
             });
-        });
+        }
+        timings.renderSec = secondsSince(renderStartedAt);
+        timings.renderRealtimeFactor = Number((audioDurationSec / Math.max(timings.renderSec, 0.01)).toFixed(1));
+        if (fullRenderEstimateSec !== null) {
+            timings.fullRenderEstimate = {
+                basis: `${timings.segment.lengthSec}s segment encode extrapolated to the mix length (not measured)`,
+                estimatedSec: Number(fullRenderEstimateSec.toFixed(2)),
+                segmentLoopSec: timings.renderSec,
+                estimatedSpeedup: Number((fullRenderEstimateSec / Math.max(timings.renderSec, 0.01)).toFixed(1)),
+            };
+        }
 
         const exists = await fs.pathExists(videoPath);
         if (!exists) throw new Error("FFmpeg did not produce a video file.");
@@ -352,6 +598,8 @@ const CreateVideoFromAudio = async (req, res) => {
             message: "✅ Video created & uploaded",
             videoUrl,
             jobId,
+            profile: profile.name,
+            timings,
             sizeMB: (st.size / 1024 / 1024).toFixed(2),
             timestamp: new Date().toISOString(),
         });
@@ -362,9 +610,49 @@ const CreateVideoFromAudio = async (req, res) => {
             error: err.message,
             tip: "If this persists, verify URLs are reachable and FFmpeg path is correct.",
         });
+    } finally {
+        releaseJobDir(jobId);
     }
 };
 
 
 
-module.exports = { ProcessAudio, CreateThumbnail, CreateVideoFromAudio };
+// ---------- Download (local mode) ----------
+// Serves the job's final_audio.<ext> in whichever format it was encoded
+const downloadAudio = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        if (!JOB_ID_RE.test(jobId)) return res.status(400).json({ error: "Invalid job ID" });
+        const jobDir = path.join(TEMP_DIR, jobId);
+        let spec = null;
+        for (const format of Object.values(AUDIO_FORMATS)) {
+            if (await fs.pathExists(path.join(jobDir, `final_audio.${format.ext}`))) {
+                spec = format;
+                break;
+            }
+        }
+        if (!spec) {
+            return res.status(404).json({ error: "Audio not found", message: "Audio may have been cleaned up. Please process it again." });
+        }
+        const audioFile = path.join(jobDir, `final_audio.${spec.ext}`);
+        const stats = await fs.stat(audioFile);
+        res.setHeader("Content-Type", spec.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="audio_${jobId}.${spec.ext}"`);
+        res.setHeader("Content-Length", stats.size);
+        res.setHeader("Accept-Ranges", "bytes");
+        res.setHeader("Cache-Control", "public, max-age=3600");
+
+        const stream = fs.createReadStream(audioFile, { highWaterMark: 64 * 1024 });
+        stream.on("error", (e) => {
+            console.error(`[Download Error] Audio: ${e.message}`);
+            if (!res.headersSent) res.status(500).json({ error: "Failed to stream audio" });
+        });
+        stream.pipe(res);
+        console.log(`[Download] Streaming audio for job: ${jobId}`);
+    } catch (e) {
+        console.error(`[Download Error] ${e.message}`);
+        if (!res.headersSent) res.status(500).json({ error: "Failed to download audio", details: e.message });
+    }
+};
+
+module.exports = { ProcessAudio, CreateThumbnail, CreateVideoFromAudio, downloadAudio };
@@ -0,0 +1,67 @@
+const { FFMPEG_PATH, runCommand } = require("./ffmpegUtils");
+
+const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\/.+/i.test(u);
+
+const DEFAULT_VOLUME_DB = -20;
+const BED_FADE_SEC = 3;
+
+/**
+ * Validate the 'ambience' request field
+ * { url, volumeDb = -20, duck = false }. Omitted → no bed.
+ * @param {object} [raw]
+ * @returns {{ ambience?: { url: string, volumeDb: number, duck: boolean }|null, error?: string }}
+ */
+const parseAmbience = (raw) => {
+  if (raw === undefined || raw === null) return { ambience: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "'ambience' must be an object { url, volumeDb, duck }." };
+  }
+  if (!isHttpUrl(raw.url)) {
+    return { error: "'ambience.url' must be a valid HTTP/HTTPS URL." };
+  }
+  const volumeDb = raw.volumeDb ?? DEFAULT_VOLUME_DB;
+  if (typeof volumeDb !== "number" || !Number.isFinite(volumeDb) || volumeDb < -60 || volumeDb > 0) {
+    return { error: "'ambience.volumeDb' must be a number between -60 and 0." };
+  }
+  if (raw.duck !== undefined && typeof raw.duck !== "boolean") {
+    return { error: "'ambience.duck' must be a boolean." };
+  }
+  return { ambience: { url: raw.url, volumeDb, duck: raw.duck === true } };
+};
+
+/**
+ * Loop an ambience bed (rain, vinyl crackle...) under the whole mix
+ * The bed is looped to the mix length, faded in/out, optionally ducked by the
+ * music via sidechain compression, then summed (not averaged) with the music.
+ * @param {object} params
+ * @param {string} params.musicPath - Merged music WAV
+ * @param {string} params.ambiencePath - Downloaded ambience file (any format FFmpeg reads)
+ * @param {object} params.ambience - Result of parseAmbience()
+ * @param {number} params.durationSec - Length of the music mix
+ * @param {string} params.outPath - Mixed WAV to write
+ * @returns {Promise<string>} - outPath
+ */
+const mixAmbience = async ({ musicPath, ambiencePath, ambience, durationSec, outPath }) => {
+  const fade = Math.min(BED_FADE_SEC, durationSec / 4);
+  const bed =
+    `[1:a]aformat=sample_rates=44100:channel_layouts=stereo,volume=${ambience.volumeDb}dB,` +
+    `atrim=end=${durationSec.toFixed(3)},afade=t=in:d=${fade},` +
+    `afade=t=out:st=${(durationSec - fade).toFixed(3)}:d=${fade}[bed]`;
+  const graph = ambience.duck
+    ? `${bed};[0:a]asplit=2[music][sc];` +
+      `[bed][sc]sidechaincompress=threshold=0.05:ratio=6:attack=200:release=1000[ducked];` +
+      `[music][ducked]amerge=inputs=2,pan=stereo|c0=c0+c2|c1=c1+c3[out]`
+    : `${bed};[0:a][bed]amerge=inputs=2,pan=stereo|c0=c0+c2|c1=c1+c3[out]`;
+
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${musicPath}" -stream_loop -1 -i "${ambiencePath}" ` +
+    `-filter_complex "${graph}" -map "[out]" -t ${durationSec.toFixed(3)} -acodec pcm_s16le -ar 44100 -ac 2 "${outPath}"`,
+    10 * 60 * 1000
+  );
+  return outPath;
+};
+
+module.exports = {
+  parseAmbience,
+  mixAmbience,
+};
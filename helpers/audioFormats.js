@@ -0,0 +1,80 @@
+// Encoders and limits for each deliverable audio format
+const AUDIO_FORMATS = {
+  mp3: {
+    ext: "mp3", contentType: "audio/mpeg", codec: "libmp3lame",
+    bitrates: [64, 320], defaultBitrate: 192, sampleRates: [32000, 44100, 48000],
+  },
+  aac: {
+    ext: "m4a", contentType: "audio/mp4", codec: "aac",
+    bitrates: [64, 320], defaultBitrate: 128, sampleRates: [44100, 48000],
+  },
+  opus: {
+    // Opus always runs at 48kHz internally; other rates are resampled by the encoder
+    ext: "opus", contentType: "audio/ogg", codec: "libopus",
+    bitrates: [32, 256], defaultBitrate: 96, sampleRates: [48000],
+  },
+  flac: {
+    ext: "flac", contentType: "audio/flac", codec: "flac",
+    bitrates: null, sampleRates: [44100, 48000, 96000],
+  },
+  wav: {
+    ext: "wav", contentType: "audio/wav", codec: "pcm_s16le",
+    bitrates: null, sampleRates: [44100, 48000],
+  },
+};
+const DEFAULT_FORMAT = "aac";
+
+/**
+ * Validate the 'format', 'bitrateKbps' and 'sampleRate' request fields
+ * @param {{ format?: string, bitrateKbps?: number, sampleRate?: number }} raw
+ * @returns {{ audioFormat?: { format: string, ext: string, contentType: string, codec: string, bitrateKbps: number|null, sampleRate: number }, error?: string }}
+ */
+const parseAudioFormat = ({ format = DEFAULT_FORMAT, bitrateKbps, sampleRate } = {}) => {
+  const spec = typeof format === "string" ? AUDIO_FORMATS[format.toLowerCase()] : null;
+  if (!spec) {
+    return { error: `'format' must be one of: ${Object.keys(AUDIO_FORMATS).join(", ")}.` };
+  }
+  const name = format.toLowerCase();
+
+  if (bitrateKbps !== undefined && bitrateKbps !== null) {
+    if (!spec.bitrates) {
+      return { error: `'bitrateKbps' does not apply to lossless format '${name}'.` };
+    }
+    const [min, max] = spec.bitrates;
+    if (!Number.isInteger(bitrateKbps) || bitrateKbps < min || bitrateKbps > max) {
+      return { error: `'bitrateKbps' for ${name} must be an integer between ${min} and ${max}.` };
+    }
+  }
+
+  const rate = sampleRate ?? (spec.sampleRates.includes(44100) ? 44100 : spec.sampleRates[0]);
+  if (!spec.sampleRates.includes(rate)) {
+    return { error: `'sampleRate' for ${name} must be one of: ${spec.sampleRates.join(", ")}.` };
+  }
+
+  return {
+    audioFormat: {
+      format: name,
+      ext: spec.ext,
+      contentType: spec.contentType,
+      codec: spec.codec,
+      bitrateKbps: spec.bitrates ? (bitrateKbps ?? spec.defaultBitrate) : null,
+      sampleRate: rate,
+    },
+  };
+};
+
+/**
+ * FFmpeg codec arguments for a parsed format
+ * @param {object} audioFormat - Result of parseAudioFormat()
+ * @returns {string} - e.g. "-c:a libmp3lame -b:a 192k -ar 44100"
+ */
+const getEncodeArgs = (audioFormat) =>
+  `-c:a ${audioFormat.codec}` +
+  (audioFormat.bitrateKbps ? ` -b:a ${audioFormat.bitrateKbps}k` : "") +
+  ` -ar ${audioFormat.sampleRate}`;
+
+module.exports = {
+  AUDIO_FORMATS,
+  parseAudioFormat,
+  getEncodeArgs,
+};
@@ -0,0 +1,163 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { FFMPEG_PATH, runCommand, escapeConcatPath } = require("./ffmpegUtils");
+
+const TRANSITION_MODES = ["gap", "crossfade", "none"];
+// Curves supported by FFmpeg's acrossfade filter
+const CROSSFADE_CURVES = [
+  "tri", "qsin", "esin", "hsin", "log", "ipar", "qua", "cub",
+  "squ", "cbr", "par", "exp", "iqsin", "ihsin", "dese", "desi",
+];
+const DEFAULT_DURATION_SEC = { gap: 1, crossfade: 8, none: 0 };
+const MAX_TRANSITION_SEC = 30;
+// Below this a crossfade is inaudible; the boundary becomes a hard cut instead
+const MIN_CROSSFADE_SEC = 0.1;
+
+/**
+ * Validate the 'transition' request field
+ * Accepts a mode string ("crossfade") or { mode, durationSec, curve }.
+ * Omitted → the legacy 1-second silence gap.
+ * @param {string|object} [raw]
+ * @returns {{ transition?: { mode: string, durationSec: number, curve: string }, error?: string }}
+ */
+const parseTransition = (raw) => {
+  if (raw === undefined || raw === null) {
+    return { transition: { mode: "gap", durationSec: DEFAULT_DURATION_SEC.gap, curve: "tri" } };
+  }
+  const opts = typeof raw === "string" ? { mode: raw } : raw;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    return { error: "'transition' must be a mode string or an object { mode, durationSec, curve }." };
+  }
+
+  const mode = opts.mode || "gap";
+  if (!TRANSITION_MODES.includes(mode)) {
+    return { error: `'transition.mode' must be one of: ${TRANSITION_MODES.join(", ")}.` };
+  }
+
+  const durationSec = opts.durationSec ?? DEFAULT_DURATION_SEC[mode];
+  if (typeof durationSec !== "number" || !Number.isFinite(durationSec) || durationSec < 0 || durationSec > MAX_TRANSITION_SEC) {
+    return { error: `'transition.durationSec' must be a number between 0 and ${MAX_TRANSITION_SEC}.` };
+  }
+
+  const curve = opts.curve || "tri";
+  if (!CROSSFADE_CURVES.includes(curve)) {
+    return { error: `'transition.curve' must be one of: ${CROSSFADE_CURVES.join(", ")}.` };
+  }
+
+  return { transition: { mode, durationSec: mode === "none" ? 0 : durationSec, curve } };
+};
+
+/**
+ * Effective crossfade length for every boundary between consecutive tracks.
+ * Each fade is capped at half of both neighbours, so a short track can fade
+ * in and out without the two fades overlapping; tiny fades become hard cuts (0).
+ * @param {number[]} durations - Track durations in seconds
+ * @param {number} durationSec - Requested crossfade length
+ * @returns {number[]} - One entry per boundary (durations.length - 1)
+ */
+const getCrossfadeDurations = (durations, durationSec) => {
+  const result = [];
+  for (let i = 0; i < durations.length - 1; i++) {
+    const d = Math.min(durationSec, durations[i] / 2, durations[i + 1] / 2);
+    result.push(d >= MIN_CROSSFADE_SEC ? Number(d.toFixed(3)) : 0);
+  }
+  return result;
+};
+
+// Chain acrossfade over every input: [0][1] → [x1], [x1][2] → [x2], ...
+const buildCrossfadeGraph = (fades, curve) => {
+  const parts = [];
+  let prev = "[0:a]";
+  fades.forEach((d, i) => {
+    const next = `[${i + 1}:a]`;
+    const out = i === fades.length - 1 ? "[out]" : `[x${i + 1}]`;
+    parts.push(d > 0
+      ? `${prev}${next}acrossfade=d=${d}:c1=${curve}:c2=${curve}${out}`
+      : `${prev}${next}concat=n=2:v=0:a=1${out}`);
+    prev = out;
+  });
+  return parts.join(";\n");
+};
+
+/**
+ * Start offset of every track inside the merged mix, given the transition in use
+ * @param {number[]} durations - Track durations in seconds, in play order
+ * @param {object} transition - Result of parseTransition()
+ * @returns {number[]} - Start offset (seconds) of each track
+ */
+const getTrackOffsets = (durations, transition) => {
+  const fades = transition.mode === "crossfade"
+    ? getCrossfadeDurations(durations, transition.durationSec)
+    : [];
+  const gap = transition.mode === "gap" ? transition.durationSec : 0;
+  const offsets = [];
+  let t = 0;
+  durations.forEach((d, i) => {
+    offsets.push(Number(t.toFixed(3)));
+    t += d + gap - (fades[i] || 0);
+  });
+  return offsets;
+};
+
+/**
+ * Merge sanitized WAVs into one WAV using the requested transition
+ * @param {object} params
+ * @param {string[]} params.wavPaths - Sanitized 44.1kHz stereo WAVs, in play order
+ * @param {number[]} params.durations - Duration of each WAV in seconds
+ * @param {object} params.transition - Result of parseTransition()
+ * @param {string} params.jobDir - Working directory for list/silence/filter files
+ * @param {string} params.outPath - Merged WAV to write
+ * @returns {Promise<string>} - outPath
+ */
+const mergeTracks = async ({ wavPaths, durations, transition, jobDir, outPath }) => {
+  if (transition.mode === "crossfade" && transition.durationSec > 0 && wavPaths.length > 1) {
+    const fades = getCrossfadeDurations(durations, transition.durationSec);
+    console.log(`[Crossfade] ${wavPaths.length} tracks, fades: ${fades.join("s, ")}s (${transition.curve})`);
+
+    // Filter graph goes in a script file so long track lists never hit the shell limit
+    const graphFile = path.join(jobDir, "crossfade.txt");
+    await fs.writeFile(graphFile, buildCrossfadeGraph(fades, transition.curve));
+    const inputs = wavPaths.map((w) => `-i "${w}"`).join(" ");
+    await runCommand(
+      `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${inputs} -filter_complex_script "${graphFile}" -map "[out]" -acodec pcm_s16le -ar 44100 -ac 2 "${outPath}"`,
+      10 * 60 * 1000
+    );
+    return outPath;
+  }
+
+  // gap / none (or a single track): concat demuxer, optionally with silence between tracks
+  const listFile = path.join(jobDir, "list.txt");
+  const lines = [];
+  let silenceWav = null;
+  if (transition.mode === "gap" && transition.durationSec > 0 && wavPaths.length > 1) {
+    silenceWav = path.join(jobDir, "silence.wav");
+    await runCommand(
+      `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -f lavfi -i anullsrc=r=44100:cl=stereo -t ${transition.durationSec} -acodec pcm_s16le "${silenceWav}"`,
+      60 * 1000
+    );
+  }
+  wavPaths.forEach((wav, i) => {
+    lines.push(`file '${escapeConcatPath(wav)}'`);
+    if (silenceWav && i < wavPaths.length - 1) {
+      lines.push(`file '${escapeConcatPath(silenceWav)}'`);
+    }
+  });
+  await fs.writeFile(listFile, lines.join("\n"));
+  console.log(`[Concat List] Created list with ${wavPaths.length} audio files (${transition.mode})`);
+
+  // Re-encode merge so containers match 100% (safer than -c copy on mixed inputs)
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -f concat -safe 0 -i "${listFile}" -acodec pcm_s16le -ar 44100 -ac 2 "${outPath}"`,
+    5 * 60 * 1000
+  );
+  return outPath;
+};
+
+module.exports = {
+  TRANSITION_MODES,
+  CROSSFADE_CURVES,
+  parseTransition,
+  getCrossfadeDurations,
+  getTrackOffsets,
+  mergeTracks,
+};
@@ -0,0 +1,107 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { FFMPEG_PATH, runCommand, probeDuration } = require("./ffmpegUtils");
+const { buildFrameFilter } = require("./outputProfiles");
+
+const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\/.+/i.test(u);
+const VIDEO_EXT_RE = /\.(mp4|mov|m4v|webm|mkv|gif)$/i;
+
+// Only the first minute of a background clip is used; the loop covers the rest
+const MAX_SOURCE_SEC = 60;
+const DEFAULT_CROSSFADE_SEC = 1;
+const FPS = 25;
+
+/**
+ * Validate the 'backgroundVideoUrl' and 'backgroundLoopCrossfadeSec' request fields
+ * @param {string} [url] - MP4/MOV/M4V/WEBM/MKV clip or animated GIF
+ * @param {number} [crossfadeSec] - Blend of the clip's end into its start (0 = hard loop)
+ * @returns {{ backgroundVideo?: { url: string, ext: string, crossfadeSec: number }|null, error?: string }}
+ */
+const parseBackgroundVideo = (url, crossfadeSec) => {
+  if (url === undefined || url === null) {
+    if (crossfadeSec !== undefined) {
+      return { error: "'backgroundLoopCrossfadeSec' requires 'backgroundVideoUrl'." };
+    }
+    return { backgroundVideo: null };
+  }
+  const match = isHttpUrl(url) ? url.split("?")[0].match(VIDEO_EXT_RE) : null;
+  if (!match) {
+    return { error: "'backgroundVideoUrl' must be an HTTP/HTTPS MP4, MOV, M4V, WEBM, MKV or GIF URL." };
+  }
+  const fade = crossfadeSec ?? DEFAULT_CROSSFADE_SEC;
+  if (typeof fade !== "number" || fade < 0 || fade > 3) {
+    return { error: "'backgroundLoopCrossfadeSec' must be a number between 0 and 3." };
+  }
+  return { backgroundVideo: { url, ext: match[1].toLowerCase(), crossfadeSec: fade } };
+};
+
+/**
+ * Whether an image file has more than one frame (animated GIF)
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+const isAnimatedImage = async (filePath) => {
+  try {
+    const output = await runCommand(
+      `"${FFMPEG_PATH}" -hide_banner -i "${filePath}" -map 0:v:0 -c copy -f null -`,
+      60 * 1000
+    );
+    const frames = [...output.matchAll(/frame=\s*(\d+)/g)].map((m) => Number(m[1]));
+    return (frames[frames.length - 1] || 0) > 1;
+  } catch (_) {
+    return false;
+  }
+};
+
+/**
+ * Pre-render a background clip once as a seamless loop at the output size.
+ * The clip is trimmed, fitted to the frame and resampled to 25fps; its last
+ * crossfadeSec seconds are then blended into its first ones, so when the loop
+ * restarts it continues exactly where the blend ended. The final render only
+ * decodes this small, already-scaled file with -stream_loop.
+ * @param {object} params
+ * @param {string} params.sourcePath - Downloaded clip or animated GIF
+ * @param {number} params.crossfadeSec
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {string} params.crop - Crop strategy of the output profile
+ * @param {string} params.jobDir
+ * @returns {Promise<{ path: string, lengthSec: number, crossfadeSec: number }>}
+ */
+const prepareBackgroundLoop = async ({ sourcePath, crossfadeSec, width, height, crop, jobDir }) => {
+  const normalized = path.join(jobDir, "background_norm.mp4");
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -t ${MAX_SOURCE_SEC} -i "${sourcePath}" -an ` +
+    `-vf "${buildFrameFilter(crop, width, height)},fps=${FPS},format=yuv420p" ` +
+    `-c:v libx264 -preset veryfast -crf 16 "${normalized}"`,
+    5 * 60 * 1000
+  );
+  const sourceSec = await probeDuration(normalized);
+  // A blend longer than a quarter of the clip would be most of what's visible
+  const fade = Math.min(crossfadeSec, sourceSec / 4);
+  if (fade < 2 / FPS) {
+    return { path: normalized, lengthSec: sourceSec, crossfadeSec: 0 };
+  }
+
+  const loopPath = path.join(jobDir, "background_loop.mp4");
+  const f = fade.toFixed(3);
+  const graph =
+    `[0:v]format=yuva420p,split[body][head];` +
+    `[body]trim=start=${f},setpts=PTS-STARTPTS[bodyt];` +
+    `[head]trim=end=${f},setpts=PTS-STARTPTS,fade=t=in:st=0:d=${f}:alpha=1,` +
+    `setpts=PTS+${(sourceSec - 2 * fade).toFixed(3)}/TB[headt];` +
+    `[bodyt][headt]overlay=eof_action=pass,format=yuv420p[loop]`;
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${normalized}" -filter_complex "${graph}" -map "[loop]" ` +
+    `-c:v libx264 -preset medium -crf 16 -g ${FPS} "${loopPath}"`,
+    5 * 60 * 1000
+  );
+  await fs.remove(normalized);
+  return { path: loopPath, lengthSec: await probeDuration(loopPath), crossfadeSec: Number(fade.toFixed(3)) };
+};
+
+module.exports = {
+  parseBackgroundVideo,
+  isAnimatedImage,
+  prepareBackgroundLoop,
+};
@@ -0,0 +1,47 @@
+/**
+ * Format seconds as a YouTube chapter timestamp: "03:25", or "1:02:03" past an hour
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+};
+
+/**
+ * Build chapter entries for the merged mix
+ * @param {object} params
+ * @param {string[]} params.titles - Track titles, in play order
+ * @param {number[]} params.offsets - Start offset of each track (seconds)
+ * @param {number[]} params.durations - Duration of each track (seconds)
+ * @param {number} [params.totalSec] - Mix length; chapters are clipped to it
+ * @returns {Array<{ index: number, title: string, startSec: number, endSec: number, timestamp: string }>}
+ */
+const buildChapters = ({ titles, offsets, durations, totalSec = Infinity }) =>
+  titles
+    .map((title, i) => ({
+      index: i + 1,
+      title,
+      startSec: offsets[i],
+      endSec: Number(Math.min(offsets[i] + durations[i], totalSec).toFixed(3)),
+      timestamp: formatTimestamp(offsets[i]),
+    }))
+    .filter((c) => c.startSec < totalSec);
+
+/**
+ * Ready-to-paste tracklist for a YouTube description ("00:00 Title" per line)
+ * @param {Array<{ timestamp: string, title: string }>} chapters
+ * @returns {string}
+ */
+const formatTracklist = (chapters) =>
+  chapters.map((c) => `${c.timestamp} ${c.title}`).join("\n");
+
+module.exports = {
+  formatTimestamp,
+  buildChapters,
+  formatTracklist,
+};
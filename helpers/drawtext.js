@@ -0,0 +1,34 @@
+// Backslash-escape every character in `chars` (and the backslash itself)
+const escapeChars = (text, chars) => text.replace(new RegExp(`[\\\\${chars}]`, "g"), (c) => `\\${c}`);
+
+/**
+ * Escape a filter option value (a path, an expression...) so it survives the
+ * filter option parser, the filter graph parser and, when the graph is passed
+ * inline on a shell command line in double quotes, the shell.
+ * Use it unquoted: `fontfile=${escapeFilterValue(path)}`.
+ * @param {string} value
+ * @param {{ shell?: boolean }} [opts] - shell: false for -filter_complex_script files
+ * @returns {string}
+ */
+const escapeFilterValue = (value, { shell = true } = {}) => {
+  let out = escapeChars(String(value), "':");        // option value: key=value:key=value
+  out = escapeChars(out, "'\\[\\],;");                 // graph: filter,filter;[label]
+  if (shell) out = escapeChars(out, '"$`');           // inside "..." on the command line
+  return out;
+};
+
+/**
+ * Escape arbitrary text for drawtext's text= option (unquoted).
+ * Also neutralizes drawtext's own %{...} expansion, so titles like "100%" render as-is.
+ * Line breaks are collapsed to spaces.
+ * @param {string} text
+ * @param {{ shell?: boolean }} [opts]
+ * @returns {string}
+ */
+const escapeDrawtext = (text, opts) =>
+  escapeFilterValue(escapeChars(String(text).replace(/\s*[\r\n]+\s*/g, " "), "%"), opts);
+
+module.exports = {
+  escapeFilterValue,
+  escapeDrawtext,
+};
@@ -0,0 +1,108 @@
+const fs = require("fs-extra");
+const { exec } = require("child_process");
+const ffmpegInstaller = require("@ffmpeg-installer/ffmpeg");
+
+// ---------- FFmpeg PATH (Windows + Ubuntu) ----------
+function getFfmpegPath() {
+  // Prefer system ffmpeg on Linux if present
+  const linuxPath = "/usr/bin/ffmpeg";
+  try {
+    if (process.platform !== "win32" && fs.existsSync(linuxPath)) {
+      return linuxPath;
+    }
+  } catch (_) { }
+  // Fallback to packaged installer (works on Windows/Mac too)
+  return ffmpegInstaller.path;
+}
+const FFMPEG_PATH = getFfmpegPath();
+
+// Machine-readable progress on stdout (key=value lines), without the stderr status line
+const PROGRESS_ARGS = "-progress pipe:1 -nostats";
+
+/**
+ * Run a shell command (normally FFmpeg) and resolve with its output
+ * @param {string} cmd - Full command line
+ * @param {number} timeoutMs - Kill the process after this long (default: 10 min)
+ * @param {object} [progress] - For FFmpeg commands that include PROGRESS_ARGS
+ * @param {number} progress.durationSec - Length of the output
+ * @param {function(number): void} progress.onProgress - Called with the percent (0-100) written so far
+ * @returns {Promise<string>} - stdout, or stderr when stdout is empty
+ */
+const runCommand = (cmd, timeoutMs = 10 * 60 * 1000, { durationSec, onProgress } = {}) => {
+  return new Promise((resolve, reject) => {
+    console.log(`[FFmpeg] Executing: ${cmd}`);
+    const child = exec(cmd, {
+      timeout: timeoutMs,
+      maxBuffer: 1024 * 1024 * 64, // 64MB buffer for long stderr
+      windowsHide: true,
+    }, (error, stdout, stderr) => {
+      if (error) {
+        console.error(`[FFmpeg Error] ${error.message}`);
+        if (stderr) console.error(`[FFmpeg Error] Stderr:\n${stderr}`);
+        return reject(new Error(stderr || error.message));
+      }
+      console.log(`[FFmpeg] Command completed successfully`);
+      resolve(stdout || stderr || "");
+    });
+
+    child.on("error", (e) => {
+      console.error(`[FFmpeg Error] Process error: ${e.message}`);
+      reject(e);
+    });
+
+    if (onProgress && durationSec > 0) {
+      // out_time_ms is in microseconds despite its name (newer builds also print out_time_us)
+      child.stdout.on("data", (chunk) => {
+        const times = [...String(chunk).matchAll(/^out_time_(?:ms|us)=(\d+)$/gm)];
+        if (times.length === 0) return;
+        const sec = Number(times[times.length - 1][1]) / 1e6;
+        onProgress(Math.min(100, Math.max(0, (sec / durationSec) * 100)));
+      });
+    }
+  });
+};
+
+/**
+ * Read the duration of a media file from the FFmpeg input header
+ * @param {string} filePath - Local media file
+ * @returns {Promise<number>} - Duration in seconds
+ */
+const probeDuration = (filePath) => {
+  return new Promise((resolve, reject) => {
+    // ffmpeg exits non-zero without an output file, but still prints the header
+    exec(`"${FFMPEG_PATH}" -hide_banner -i "${filePath}"`, { windowsHide: true }, (error, stdout, stderr) => {
+      const m = /Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr || "");
+      if (!m) {
+        return reject(new Error(`Could not read duration of ${filePath}`));
+      }
+      resolve(Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]));
+    });
+  });
+};
+
+/**
+ * Escape a path for an FFmpeg concat list entry (file '...')
+ * @param {string} filePath
+ * @returns {string}
+ */
+const escapeConcatPath = (filePath) => filePath.replace(/'/g, "'\\''");
+
+/**
+ * Write filter graph lines to a script file (long graphs overflow the command line)
+ * @param {string} filePath - Script file to write
+ * @param {string[]} graph - Filter chains, joined with ';'
+ * @returns {Promise<string>} - filePath
+ */
+const writeFilterScript = async (filePath, graph) => {
+  await fs.writeFile(filePath, graph.join(";\n"));
+  return filePath;
+};
+
+module.exports = {
+  FFMPEG_PATH,
+  PROGRESS_ARGS,
+  runCommand,
+  probeDuration,
+  escapeConcatPath,
+  writeFilterScript,
+};
@@ -0,0 +1,419 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Every .ttf/.otf under fonts/ is registered at startup; uploads land in fonts/uploads/
+const FONTS_DIR = path.join(__dirname, "..", "fonts");
+const UPLOADS_DIR = path.join(FONTS_DIR, "uploads");
+const FONT_EXTENSIONS = [".ttf", ".otf"];
+
+// Well-known system fonts, registered when present so the aliases work out of the box
+const SYSTEM_FONT_FILES = [
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+  "/usr/share/fonts/truetype/dejavu/DejaVuSerif.ttf",
+  "/usr/share/fonts/truetype/dejavu/DejaVuSerif-Bold.ttf",
+  "/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf",
+  "C:/Windows/Fonts/arial.ttf",
+  "C:/Windows/Fonts/arialbd.ttf",
+  "C:/Windows/Fonts/times.ttf",
+  "C:/Windows/Fonts/timesbd.ttf",
+  "C:/Windows/Fonts/consola.ttf",
+];
+
+// Short names kept from the first font options; the first installed candidate is used
+const FONT_ALIASES = {
+  "sans": [{ family: "DejaVu Sans", weight: 400 }, { family: "Arial", weight: 400 }],
+  "sans-bold": [{ family: "DejaVu Sans", weight: 700 }, { family: "Arial", weight: 700 }],
+  "serif": [{ family: "DejaVu Serif", weight: 400 }, { family: "Times New Roman", weight: 400 }],
+  "serif-bold": [{ family: "DejaVu Serif", weight: 700 }, { family: "Times New Roman", weight: 700 }],
+  "mono": [{ family: "DejaVu Sans Mono", weight: 400 }, { family: "Consolas", weight: 400 }],
+};
+const FONT_STYLES = ["normal", "italic"];
+const WEIGHT_NAMES = { normal: 400, regular: 400, bold: 700 };
+const MAX_FAMILY_LENGTH = 64;
+
+// Table directory of a TrueType/OpenType file: { tag: { offset, length } }
+const readTables = (buf) => {
+  if (buf.length < 12) throw new Error("File is too small to be a font");
+  const version = buf.readUInt32BE(0);
+  if (version !== 0x00010000 && version !== 0x4f54544f && version !== 0x74727565) {
+    throw new Error("Not a TrueType/OpenType font (collections and WOFF are not supported)");
+  }
+  const tables = {};
+  const numTables = buf.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const rec = 12 + i * 16;
+    if (rec + 16 > buf.length) break;
+    const offset = buf.readUInt32BE(rec + 8);
+    const length = buf.readUInt32BE(rec + 12);
+    if (offset + length <= buf.length) tables[buf.toString("latin1", rec, rec + 4)] = { offset, length };
+  }
+  return tables;
+};
+
+/**
+ * Read family, weight and style from a TrueType/OpenType file's name and OS/2 tables
+ * @param {Buffer} buf
+ * @returns {{ family: string, weight: number, style: string }}
+ * @throws {Error} - Not a single-font TTF/OTF file
+ */
+const readFontInfo = (buf) => {
+  const tables = readTables(buf);
+  if (!tables.name) throw new Error("Font has no name table");
+
+  // Prefer Windows English names (UTF-16BE), then Mac Roman
+  const names = {};
+  const { offset } = tables.name;
+  const count = buf.readUInt16BE(offset + 2);
+  const strings = offset + buf.readUInt16BE(offset + 4);
+  for (let i = 0; i < count; i++) {
+    const rec = offset + 6 + i * 12;
+    if (rec + 12 > buf.length) break;
+    const platform = buf.readUInt16BE(rec);
+    const language = buf.readUInt16BE(rec + 4);
+    const nameId = buf.readUInt16BE(rec + 6);
+    const start = strings + buf.readUInt16BE(rec + 10);
+    const end = start + buf.readUInt16BE(rec + 8);
+    if (end > buf.length || ![1, 2, 16, 17].includes(nameId)) continue;
+    const rank = platform === 3 && language === 0x409 ? 2 : platform === 3 ? 1 : platform === 1 && language === 0 ? 0 : -1;
+    if (rank < 0 || (names[nameId] && names[nameId].rank >= rank)) continue;
+    if (platform === 3 && (end - start) % 2 !== 0) continue;
+    const value = platform === 3 ? Buffer.from(buf.subarray(start, end)).swap16().toString("utf16le") : buf.toString("latin1", start, end);
+    names[nameId] = { rank, value: value.trim() };
+  }
+  const family = (names[16] || names[1])?.value;
+  if (!family) throw new Error("Font has no family name");
+  const subfamily = ((names[17] || names[2])?.value || "").toLowerCase();
+
+  let weight = /bold/.test(subfamily) ? 700 : 400;
+  let italic = /italic|oblique/.test(subfamily);
+  if (tables["OS/2"] && tables["OS/2"].length >= 64) {
+    weight = buf.readUInt16BE(tables["OS/2"].offset + 4) || weight;
+    italic = italic || (buf.readUInt16BE(tables["OS/2"].offset + 62) & 1) === 1;
+  }
+  return { family, weight, style: italic ? "italic" : "normal" };
+};
+
+/**
+ * Character map (cmap format 4 or 12) as sorted segments: code point → glyph id
+ * @returns {function(number): number} - 0 when the font has no glyph
+ */
+const readCharMap = (buf, { offset }) => {
+  const subtables = [];
+  for (let i = 0; i < buf.readUInt16BE(offset + 2); i++) {
+    const rec = offset + 4 + i * 8;
+    const platform = buf.readUInt16BE(rec);
+    const encoding = buf.readUInt16BE(rec + 2);
+    const at = offset + buf.readUInt32BE(rec + 4);
+    if (at + 4 > buf.length) continue;
+    const format = buf.readUInt16BE(at);
+    // Full Unicode tables (format 12) first, then the BMP ones (format 4)
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (unicode && (format === 12 || format === 4)) subtables.push({ format, at });
+  }
+  const table = subtables.find((t) => t.format === 12) || subtables.find((t) => t.format === 4);
+  if (!table) throw new Error("Font has no Unicode character map");
+
+  // [start, end, glyph(cp)] sorted by start
+  const segments = [];
+  const { at } = table;
+  if (table.format === 12) {
+    const groups = buf.readUInt32BE(at + 12);
+    for (let i = 0; i < groups; i++) {
+      const g = at + 16 + i * 12;
+      const start = buf.readUInt32BE(g);
+      const startGlyph = buf.readUInt32BE(g + 8);
+      segments.push([start, buf.readUInt32BE(g + 4), (cp) => startGlyph + cp - start]);
+    }
+  } else {
+    const segX2 = buf.readUInt16BE(at + 6);
+    for (let i = 0; i < segX2; i += 2) {
+      const end = buf.readUInt16BE(at + 14 + i);
+      const start = buf.readUInt16BE(at + 16 + segX2 + i);
+      const delta = buf.readInt16BE(at + 16 + 2 * segX2 + i);
+      const rangeAt = at + 16 + 3 * segX2 + i;
+      const rangeOffset = buf.readUInt16BE(rangeAt);
+      segments.push([start, end, rangeOffset === 0
+        ? (cp) => (cp + delta) & 0xffff
+        : (cp) => {
+          const pos = rangeAt + rangeOffset + 2 * (cp - start);
+          const glyph = pos + 2 <= buf.length ? buf.readUInt16BE(pos) : 0;
+          return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }]);
+    }
+    segments.sort((a, b) => a[0] - b[0]);
+  }
+
+  return (cp) => {
+    let lo = 0;
+    let hi = segments.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const [start, end, glyph] = segments[mid];
+      if (cp < start) hi = mid - 1;
+      else if (cp > end) lo = mid + 1;
+      else return glyph(cp);
+    }
+    return 0;
+  };
+};
+
+const metricsCache = new Map();
+
+/**
+ * Glyph coverage, advance widths and line metrics of a font
+ * @param {Buffer} buf
+ * @throws {Error} - Missing cmap/head/hhea/hmtx tables
+ */
+const parseFontMetrics = (buf) => {
+  const tables = readTables(buf);
+  for (const tag of ["cmap", "head", "hhea", "hmtx"]) {
+    if (!tables[tag]) throw new Error(`Font has no ${tag} table`);
+  }
+  // Keep only the tables needed for lookups, not the whole (possibly large) font
+  const cmapBuf = Buffer.from(buf.subarray(tables.cmap.offset, tables.cmap.offset + tables.cmap.length));
+  const glyphOf = readCharMap(cmapBuf, { offset: 0 });
+  const hmtx = Buffer.from(buf.subarray(tables.hmtx.offset, tables.hmtx.offset + tables.hmtx.length));
+  const unitsPerEm = buf.readUInt16BE(tables.head.offset + 18) || 1000;
+  const numHMetrics = Math.min(buf.readUInt16BE(tables.hhea.offset + 34), Math.floor(hmtx.length / 4));
+  const advanceOf = (glyph) => hmtx.readUInt16BE(4 * Math.min(glyph, numHMetrics - 1)) / unitsPerEm;
+
+  return {
+    ascender: buf.readInt16BE(tables.hhea.offset + 4) / unitsPerEm,
+    descender: -buf.readInt16BE(tables.hhea.offset + 6) / unitsPerEm,
+    hasGlyph: (cp) => glyphOf(cp) !== 0,
+    advance: (cp) => advanceOf(glyphOf(cp)),
+  };
+};
+
+/**
+ * Glyph coverage, advance widths and line metrics of a font file, cached per file.
+ * Sizes are in em (multiply by the font size in pixels).
+ * @param {string} file
+ * @returns {{ ascender: number, descender: number, hasGlyph: function(number): boolean, advance: function(number): number }}
+ * @throws {Error} - Missing cmap/head/hhea/hmtx tables
+ */
+const readFontMetrics = (file) => {
+  if (!metricsCache.has(file)) metricsCache.set(file, parseFontMetrics(fs.readFileSync(file)));
+  return metricsCache.get(file);
+};
+
+// Characters that draw nothing by themselves: spaces, controls, joiners, bidi marks, variation selectors
+const INVISIBLE_RE = /^[\s\p{Cc}\p{Cf}\p{Variation_Selector}]$/u;
+
+/**
+ * Characters of a text the font has no glyph for (each listed once)
+ * @param {string} file
+ * @param {string} text
+ * @returns {string[]}
+ */
+const missingGlyphs = (file, text) => {
+  const { hasGlyph } = readFontMetrics(file);
+  return [...new Set([...text].filter((c) => !INVISIBLE_RE.test(c) && !hasGlyph(c.codePointAt(0))))];
+};
+
+/**
+ * Width of a single line of text in em (sum of advances, no kerning)
+ * @param {string} file
+ * @param {string} text
+ * @returns {number}
+ */
+const measureText = (file, text) => {
+  const { advance } = readFontMetrics(file);
+  let width = 0;
+  for (const c of text) width += advance(c.codePointAt(0));
+  return width;
+};
+
+const registry = [];
+
+/**
+ * Add a font file to the registry (a file with the same family/weight/style replaces the earlier one).
+ * Its glyph tables are read now, since text is measured with them.
+ * @param {string} file
+ * @param {string} source - "bundled", "system" or "uploaded"
+ * @returns {{ family: string, weight: number, style: string, file: string, source: string }}
+ * @throws {Error} - Not a usable font file
+ */
+const registerFont = (file, source) => {
+  const buf = fs.readFileSync(file);
+  const info = readFontInfo(buf);
+  metricsCache.set(file, parseFontMetrics(buf));
+  const entry = { ...info, file, source };
+  const same = registry.findIndex((f) =>
+    f.family.toLowerCase() === info.family.toLowerCase() && f.weight === info.weight && f.style === info.style
+  );
+  if (same >= 0) registry[same] = entry;
+  else registry.push(entry);
+  return entry;
+};
+
+/**
+ * Scan the system fonts, then fonts/ (so bundled and uploaded files win over system ones).
+ * Unreadable files are logged and skipped.
+ */
+const loadFonts = () => {
+  fs.ensureDirSync(UPLOADS_DIR);
+  const walk = (dir) => fs.readdirSync(dir).flatMap((name) => {
+    const full = path.join(dir, name);
+    if (fs.statSync(full).isDirectory()) return walk(full);
+    return FONT_EXTENSIONS.includes(path.extname(name).toLowerCase()) ? [full] : [];
+  });
+  const sources = [
+    ...SYSTEM_FONT_FILES.filter((f) => fs.existsSync(f)).map((file) => ({ file, source: "system" })),
+    ...walk(FONTS_DIR).map((file) => ({ file, source: file.startsWith(UPLOADS_DIR) ? "uploaded" : "bundled" })),
+  ];
+  for (const { file, source } of sources) {
+    try {
+      registerFont(file, source);
+    } catch (err) {
+      console.warn(`[Fonts] Skipping ${file}: ${err.message}`);
+    }
+  }
+  console.log(`[Fonts] Registered ${registry.length} fonts: ${[...new Set(registry.map((f) => f.family))].join(", ") || "none"}`);
+};
+
+loadFonts();
+
+/**
+ * Validate a font reference from a request or template
+ * - an alias: "sans", "sans-bold", "serif", "serif-bold", "mono"
+ * - a family name: "Inter" (regular weight)
+ * - { family, weight: 100-900 | "normal" | "bold", style: "normal" | "italic" }
+ * Whether the font is installed is checked separately (checkFont), since uploads can add it later.
+ * @param {string|object} raw
+ * @param {string} where - Field path for error messages
+ * @returns {{ font?: string|object, error?: string }}
+ */
+const parseFontRef = (raw, where) => {
+  if (typeof raw === "string" && raw.trim() && raw.length <= MAX_FAMILY_LENGTH) return { font: raw.trim() };
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    return { error: `${where} must be a font alias (${Object.keys(FONT_ALIASES).join(", ")}), a family name or { family, weight, style }.` };
+  }
+  if (typeof raw.family !== "string" || !raw.family.trim() || raw.family.length > MAX_FAMILY_LENGTH) {
+    return { error: `${where}.family must be a non-empty string of at most ${MAX_FAMILY_LENGTH} characters.` };
+  }
+  const weight = typeof raw.weight === "string" ? WEIGHT_NAMES[raw.weight.toLowerCase()] : raw.weight ?? 400;
+  if (!Number.isInteger(weight) || weight < 100 || weight > 900) {
+    return { error: `${where}.weight must be 100-900, "normal" or "bold".` };
+  }
+  const style = raw.style ?? "normal";
+  if (!FONT_STYLES.includes(style)) {
+    return { error: `${where}.style must be one of: ${FONT_STYLES.join(", ")}.` };
+  }
+  return { font: { family: raw.family.trim(), weight, style } };
+};
+
+/**
+ * Find the registered font for a reference: same family and style, closest weight
+ * @param {string|object} ref - Result of parseFontRef()
+ * @returns {{ family: string, weight: number, style: string, file: string, source: string }|null}
+ */
+const findFont = (ref) => {
+  const candidates = typeof ref === "string"
+    ? FONT_ALIASES[ref] || [{ family: ref, weight: 400, style: "normal" }]
+    : [ref];
+  for (const { family, weight, style = "normal" } of candidates) {
+    const matches = registry.filter((f) => f.family.toLowerCase() === family.toLowerCase() && f.style === style);
+    if (matches.length > 0) {
+      return matches.reduce((best, f) => (Math.abs(f.weight - weight) < Math.abs(best.weight - weight) ? f : best));
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolve a font reference to a file on this machine
+ * @param {string|object} ref - Result of parseFontRef()
+ * @returns {string|null}
+ */
+const resolveFont = (ref) => findFont(ref)?.file || null;
+
+/**
+ * The font to draw a text with: the referenced font when it has every glyph, otherwise the
+ * installed font closest in style and weight that does (e.g. a CJK font for Japanese titles)
+ * @param {string|object} ref - Result of parseFontRef() (must be installed, see checkFont())
+ * @param {string} text
+ * @returns {{ font?: { family: string, weight: number, style: string, file: string }, fallback?: boolean, missing?: string[] }}
+ *   - missing: characters no single installed font covers together with the rest of the text
+ */
+const pickFont = (ref, text) => {
+  const primary = findFont(ref);
+  if (!primary) return { missing: [] };
+  const candidates = [primary, ...registry
+    .filter((f) => f !== primary)
+    .sort((a, b) =>
+      (a.style !== primary.style) - (b.style !== primary.style) ||
+      Math.abs(a.weight - primary.weight) - Math.abs(b.weight - primary.weight))];
+  let best = null;
+  for (const font of candidates) {
+    let missing;
+    try {
+      missing = missingGlyphs(font.file, text);
+    } catch (err) {
+      continue;
+    }
+    if (missing.length === 0) return { font, fallback: font !== primary };
+    if (!best || missing.length < best.missing.length) best = { missing };
+  }
+  return { missing: best ? best.missing : [] };
+};
+
+const describeFont = (ref) => (typeof ref === "string" ? `"${ref}"` : `"${ref.family}" ${ref.weight} ${ref.style}`);
+
+/**
+ * Error message when a referenced font is not installed, else null
+ * @param {string|object} ref - Result of parseFontRef()
+ * @param {string} where - Field path for error messages
+ * @returns {string|null}
+ */
+const checkFont = (ref, where) => {
+  if (findFont(ref)) return null;
+  const families = [...new Set(registry.map((f) => f.family))];
+  return `${where}: font ${describeFont(ref)} is not installed. ` +
+    `Available: ${[...Object.keys(FONT_ALIASES), ...families].join(", ")}. Upload it with POST /api/ffmpeg/fonts.`;
+};
+
+/**
+ * Registered fonts for the API, grouped by family
+ * @returns {Array<{ family: string, variants: Array<{ weight: number, style: string, source: string }> }>}
+ */
+const listFonts = () => {
+  const families = {};
+  for (const f of registry) {
+    (families[f.family] = families[f.family] || []).push({ weight: f.weight, style: f.style, source: f.source });
+  }
+  return Object.keys(families).sort().map((family) => ({
+    family,
+    variants: families[family].sort((a, b) => a.weight - b.weight || a.style.localeCompare(b.style)),
+  }));
+};
+
+/**
+ * Aliases and the font each one resolves to here
+ * @returns {Object<string, { family: string, weight: number }|null>}
+ */
+const listAliases = () => Object.fromEntries(
+  Object.keys(FONT_ALIASES).map((alias) => {
+    const f = findFont(alias);
+    return [alias, f ? { family: f.family, weight: f.weight } : null];
+  })
+);
+
+module.exports = {
+  FONTS_DIR,
+  UPLOADS_DIR,
+  FONT_ALIASES,
+  FONT_EXTENSIONS,
+  readFontInfo,
+  parseFontMetrics,
+  readFontMetrics,
+  measureText,
+  registerFont,
+  parseFontRef,
+  resolveFont,
+  checkFont,
+  pickFont,
+  listFonts,
+  listAliases,
+};
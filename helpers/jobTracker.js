@@ -0,0 +1,155 @@
+// In-memory status of video jobs, polled through GET /api/ffmpeg/jobs/:jobId.
+// Jobs are lost on restart; finished ones are forgotten after JOB_RETENTION_MS.
+
+// Pipeline order; a stage a job doesn't need is reported as skipped
+const STAGES = ["download", "sanitize", "merge", "normalize", "render", "thumbnail", "teaser", "upload"];
+// Share of the overall progress each stage stands for (rendering dominates)
+const STAGE_WEIGHTS = { download: 10, sanitize: 10, merge: 5, normalize: 10, render: 50, thumbnail: 5, teaser: 5, upload: 5 };
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 500;
+
+const jobs = new Map();
+
+const isFinished = (job) => job.status === "completed" || job.status === "failed";
+
+// Drop finished jobs past retention, and the oldest ones beyond MAX_FINISHED_JOBS
+const pruneJobs = () => {
+  const finished = [...jobs.values()].filter(isFinished).sort((a, b) => a.finishedAt - b.finishedAt);
+  finished.forEach((job, i) => {
+    if (Date.now() - job.finishedAt > JOB_RETENTION_MS || i < finished.length - MAX_FINISHED_JOBS) {
+      jobs.delete(job.id);
+    }
+  });
+};
+
+/**
+ * Register a new job, queued until its first stage starts
+ * @param {string} id - Job ID (also the temp directory name)
+ * @returns {object} - Job record, passed to the other functions
+ */
+const createJob = (id) => {
+  pruneJobs();
+  const job = {
+    id,
+    status: "queued",
+    stage: null,
+    stages: Object.fromEntries(STAGES.map((name) => [name, { status: "pending", progress: 0 }])),
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  jobs.set(id, job);
+  return job;
+};
+
+// Close the running stage, and skip the pending stages before `until`
+const closeStages = (job, status, until = STAGES.length) => {
+  const current = job.stage && job.stages[job.stage];
+  if (current && current.status === "running") {
+    current.status = status;
+    if (status === "done") current.progress = 100;
+    current.finishedAt = Date.now();
+    current.durationSec = Number(((current.finishedAt - current.startedAt) / 1000).toFixed(2));
+  }
+  STAGES.slice(0, until).forEach((name) => {
+    if (job.stages[name].status === "pending") job.stages[name].status = "skipped";
+  });
+};
+
+/**
+ * Move a job to a stage: the previous stage is done, stages in between were skipped
+ * @param {object} job
+ * @param {string} name - One of STAGES
+ */
+const startStage = (job, name) => {
+  closeStages(job, "done", STAGES.indexOf(name));
+  job.status = "running";
+  job.startedAt = job.startedAt || Date.now();
+  job.stage = name;
+  Object.assign(job.stages[name], { status: "running", progress: 0, startedAt: Date.now() });
+};
+
+/**
+ * Progress of the running stage
+ * @param {object} job
+ * @param {number} percent - 0-100
+ */
+const setStageProgress = (job, percent) => {
+  if (job.stage) job.stages[job.stage].progress = Math.round(Math.min(100, Math.max(0, percent)));
+};
+
+/**
+ * Mark a job completed with its response body
+ * @param {object} job
+ * @param {object} result
+ */
+const completeJob = (job, result) => {
+  closeStages(job, "done");
+  job.status = "completed";
+  job.stage = null;
+  job.finishedAt = Date.now();
+  job.result = result;
+};
+
+/**
+ * Mark a job failed in its current stage
+ * @param {object} job
+ * @param {Error} err
+ */
+const failJob = (job, err) => {
+  closeStages(job, "failed", 0);
+  job.status = "failed";
+  job.finishedAt = Date.now();
+  job.error = err.message;
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : undefined);
+
+/**
+ * Public view of a job: overall and per-stage progress, timings, result or error
+ * @param {object} job
+ * @returns {object}
+ */
+const describeJob = (job) => {
+  const active = STAGES.filter((name) => job.stages[name].status !== "skipped");
+  const weight = active.reduce((sum, name) => sum + STAGE_WEIGHTS[name], 0);
+  const done = active.reduce((sum, name) => sum + (STAGE_WEIGHTS[name] * job.stages[name].progress) / 100, 0);
+  return {
+    jobId: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.status === "completed" ? 100 : Math.floor((done / weight) * 100),
+    stages: STAGES.map((name) => {
+      const s = job.stages[name];
+      return {
+        name,
+        status: s.status,
+        progress: s.progress,
+        startedAt: toIso(s.startedAt),
+        finishedAt: toIso(s.finishedAt),
+        durationSec: s.durationSec,
+      };
+    }),
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    finishedAt: toIso(job.finishedAt),
+    elapsedSec: job.startedAt ? Number((((job.finishedAt || Date.now()) - job.startedAt) / 1000).toFixed(2)) : 0,
+    result: job.result || undefined,
+    error: job.error || undefined,
+  };
+};
+
+module.exports = {
+  STAGES,
+  createJob,
+  startStage,
+  setStageProgress,
+  completeJob,
+  failJob,
+  getJob,
+  describeJob,
+};
@@ -0,0 +1,184 @@
+const fs = require("fs-extra");
+const { FFMPEG_PATH, runCommand } = require("./ffmpegUtils");
+
+const DEFAULT_TARGET = { integratedLufs: -16, truePeakDb: -1.5, lra: 11 };
+// Ranges accepted by FFmpeg's loudnorm filter
+const LIMITS = {
+  integratedLufs: [-70, -5],
+  truePeakDb: [-9, 0],
+  lra: [1, 20],
+};
+
+const isNumber = (n) => typeof n === "number" && Number.isFinite(n);
+const round = (n) => (Number.isFinite(n) ? Number(n.toFixed(2)) : null);
+
+/**
+ * Validate the 'loudness' request field
+ * { integratedLufs, truePeakDb, lra, perTrack } — all optional.
+ * @param {object} [raw]
+ * @returns {{ loudness?: { integratedLufs: number, truePeakDb: number, lra: number, perTrack: boolean }, error?: string }}
+ */
+const parseLoudness = (raw) => {
+  if (raw === undefined || raw === null) {
+    return { loudness: { ...DEFAULT_TARGET, perTrack: true } };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "'loudness' must be an object { integratedLufs, truePeakDb, lra, perTrack }." };
+  }
+  const loudness = { ...DEFAULT_TARGET, perTrack: raw.perTrack !== false };
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+    if (!isNumber(raw[field]) || raw[field] < min || raw[field] > max) {
+      return { error: `'loudness.${field}' must be a number between ${min} and ${max}.` };
+    }
+    loudness[field] = raw[field];
+  }
+  return { loudness };
+};
+
+// loudnorm prints its JSON summary as the last {...} block on stderr
+const parseLoudnormJson = (output) => {
+  const start = output.lastIndexOf("{");
+  const end = output.lastIndexOf("}");
+  if (start === -1 || end < start) throw new Error("loudnorm produced no measurement");
+  return JSON.parse(output.slice(start, end + 1));
+};
+
+const targetFilter = (target) =>
+  `loudnorm=I=${target.integratedLufs}:TP=${target.truePeakDb}:LRA=${target.lra}`;
+
+/**
+ * First loudnorm pass: measure integrated loudness, true peak and LRA
+ * @param {string} filePath
+ * @param {object} target - { integratedLufs, truePeakDb, lra }
+ * @returns {Promise<{ input_i: string, input_tp: string, input_lra: string, input_thresh: string, target_offset: string }>}
+ */
+const measureLoudness = async (filePath, target) => {
+  const output = await runCommand(
+    `"${FFMPEG_PATH}" -hide_banner -nostats -i "${filePath}" -af "${targetFilter(target)}:print_format=json" -f null -`,
+    5 * 60 * 1000
+  );
+  const m = parseLoudnormJson(output);
+  if (!Number.isFinite(parseFloat(m.input_i)) || !Number.isFinite(parseFloat(m.input_tp))) {
+    throw new Error(`Unmeasurable loudness (I=${m.input_i}, TP=${m.input_tp}) — is the audio silent?`);
+  }
+  return m;
+};
+
+/**
+ * Second loudnorm pass filter using first-pass measurements (linear when possible)
+ * @param {object} target - { integratedLufs, truePeakDb, lra }
+ * @param {object} measured - Result of measureLoudness()
+ * @returns {string}
+ */
+const buildLoudnormFilter = (target, measured) =>
+  `${targetFilter(target)}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+  `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+  `:offset=${measured.target_offset}:linear=true:print_format=json`;
+
+const summarize = (measured, applied) => ({
+  input: {
+    integratedLufs: round(parseFloat(measured.input_i)),
+    truePeakDb: round(parseFloat(measured.input_tp)),
+    lra: round(parseFloat(measured.input_lra)),
+  },
+  output: applied ? {
+    integratedLufs: round(parseFloat(applied.output_i)),
+    truePeakDb: round(parseFloat(applied.output_tp)),
+    lra: round(parseFloat(applied.output_lra)),
+  } : null,
+  normalizationType: applied ? applied.normalization_type : null,
+});
+
+/**
+ * Measure and normalize a single track WAV to the target (two-pass loudnorm)
+ * A track's gainDb is kept as an offset from the target so manual rebalancing survives.
+ * @param {string} wavPath
+ * @param {object} loudness - Result of parseLoudness()
+ * @param {string} outPath - Normalized WAV to write
+ * @param {number} [gainDb=0] - Per-track offset from the target
+ * @returns {Promise<{ path: string, report: object }>} - path is wavPath unchanged when measuring fails
+ */
+const normalizeTrackLoudness = async (wavPath, loudness, outPath, gainDb = 0) => {
+  const [min, max] = LIMITS.integratedLufs;
+  const target = { ...loudness, integratedLufs: Math.min(max, Math.max(min, loudness.integratedLufs + gainDb)) };
+  let measured;
+  try {
+    measured = await measureLoudness(wavPath, target);
+  } catch (e) {
+    console.warn(`[Loudness Warning] Could not measure ${wavPath}: ${e.message}`);
+    return { path: wavPath, report: { error: e.message.split("\n")[0] } };
+  }
+  const output = await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -nostats -i "${wavPath}" -af "${buildLoudnormFilter(target, measured)}" -acodec pcm_s16le -ar 44100 -ac 2 "${outPath}"`,
+    5 * 60 * 1000
+  );
+  return { path: outPath, report: { targetLufs: target.integratedLufs, ...summarize(measured, parseLoudnormJson(output)) } };
+};
+
+/**
+ * Normalize and encode the merged master
+ * Linear two-pass loudnorm first; if measuring or the second pass fails, falls back
+ * to single-pass loudnorm, then dynaudnorm, then a plain volume boost.
+ * @param {object} params
+ * @param {string} params.inputPath - Merged WAV
+ * @param {string} params.outputPath - Encoded output file
+ * @param {object} params.loudness - Result of parseLoudness()
+ * @param {string} params.encodeArgs - Codec arguments, e.g. "-c:a aac -b:a 128k -ar 44100"
+ * @param {string} [params.metadataPath] - FFMETADATA1 file with tags and chapters to embed
+ * @returns {Promise<{ method: string, input?: object, output?: object, normalizationType?: string }>}
+ */
+const normalizeMaster = async ({ inputPath, outputPath, loudness, encodeArgs, metadataPath }) => {
+  const input = metadataPath
+    ? `-i "${inputPath}" -i "${metadataPath}" -map 0:a -map_metadata 1 -map_chapters 1`
+    : `-i "${inputPath}"`;
+  const sizeMB = async () => ((await fs.stat(outputPath)).size / 1024 / 1024).toFixed(2);
+  try {
+    const measured = await measureLoudness(inputPath, loudness);
+    const output = await runCommand(
+      `"${FFMPEG_PATH}" -y -hide_banner -nostats ${input} -af "${buildLoudnormFilter(loudness, measured)}" ${encodeArgs} "${outputPath}"`,
+      10 * 60 * 1000
+    );
+    console.log(`[Normalize] Two-pass loudnorm OK (${await sizeMB()} MB)`);
+    return { method: "loudnorm-2pass", ...summarize(measured, parseLoudnormJson(output)) };
+  } catch (e0) {
+    console.warn(`[Normalize Warning] two-pass loudnorm failed (${e0.message.split("\n")[0]}), trying single pass...`);
+  }
+
+  try {
+    await runCommand(
+      `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${input} -af "${targetFilter(loudness)}" ${encodeArgs} "${outputPath}"`,
+      10 * 60 * 1000
+    );
+    console.log(`[Normalize] Single-pass loudnorm OK (${await sizeMB()} MB)`);
+    return { method: "loudnorm" };
+  } catch (e1) {
+    console.warn(`[Normalize Warning] loudnorm failed (${e1.message}), trying dynaudnorm...`);
+  }
+
+  try {
+    await runCommand(
+      `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${input} -filter:a "dynaudnorm=f=150:g=15" ${encodeArgs} "${outputPath}"`,
+      6 * 60 * 1000
+    );
+    console.log(`[Normalize Fallback] dynaudnorm OK (${await sizeMB()} MB)`);
+    return { method: "dynaudnorm" };
+  } catch (e2) {
+    console.warn(`[Normalize Warning] dynaudnorm failed (${e2.message}), final fallback volume=1.3`);
+  }
+
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${input} -filter:a "volume=1.3" ${encodeArgs} "${outputPath}"`,
+    4 * 60 * 1000
+  );
+  console.log(`[Normalize Fallback] simple volume OK (${await sizeMB()} MB)`);
+  return { method: "volume" };
+};
+
+module.exports = {
+  parseLoudness,
+  measureLoudness,
+  buildLoudnormFilter,
+  normalizeTrackLoudness,
+  normalizeMaster,
+};
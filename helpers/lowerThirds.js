@@ -0,0 +1,141 @@
+const { escapeFilterValue, escapeDrawtext } = require("./drawtext");
+const { parseFontRef, resolveFont, checkFont } = require("./fontRegistry");
+
+const LOWER_THIRD_POSITIONS = ["bottom-left", "bottom-center", "bottom-right", "top-left", "top-center", "top-right"];
+const DEFAULT_OPTIONS = {
+  position: "bottom-left", font: "sans-bold", fontSize: 42, color: "white",
+  displaySec: 6, fadeSec: 0.8, offsetSec: 1, showArtist: true,
+};
+// Caption sizes are tuned for a 1080px short edge
+const MARGIN_RATIO = 0.06;
+const ARTIST_SCALE = 0.7;
+// Skip captions that would be on screen for less than this (very short tracks)
+const MIN_VISIBLE_SEC = 1.5;
+
+/**
+ * Validate the 'lowerThirds' request field
+ * true → defaults, or { position, font, fontSize, color, displaySec, fadeSec, offsetSec, showArtist }.
+ * @param {boolean|object} [raw]
+ * @returns {{ lowerThirds?: object|null, error?: string }}
+ */
+const parseLowerThirds = (raw) => {
+  if (raw === undefined || raw === null || raw === false) return { lowerThirds: null };
+  const opts = raw === true ? {} : raw;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    return { error: "'lowerThirds' must be true or an object { position, font, fontSize, color, displaySec, fadeSec, offsetSec, showArtist }." };
+  }
+  const position = opts.position ?? DEFAULT_OPTIONS.position;
+  if (!LOWER_THIRD_POSITIONS.includes(position)) {
+    return { error: `'lowerThirds.position' must be one of: ${LOWER_THIRD_POSITIONS.join(", ")}.` };
+  }
+  const { font, error: fontError } = parseFontRef(opts.font ?? DEFAULT_OPTIONS.font, "'lowerThirds.font'");
+  if (fontError) return { error: fontError };
+  const missingFont = checkFont(font, "'lowerThirds.font'");
+  if (missingFont) return { error: missingFont };
+  const fontSize = opts.fontSize ?? DEFAULT_OPTIONS.fontSize;
+  if (typeof fontSize !== "number" || fontSize < 16 || fontSize > 120) {
+    return { error: "'lowerThirds.fontSize' must be a number between 16 and 120." };
+  }
+  const color = opts.color ?? DEFAULT_OPTIONS.color;
+  if (typeof color !== "string" || !/^(#|0x)?[0-9a-f]{6}$|^[a-z]+$/i.test(color)) {
+    return { error: "'lowerThirds.color' must be a hex color like \"#ffcc00\" or a color name like \"white\"." };
+  }
+  const displaySec = opts.displaySec ?? DEFAULT_OPTIONS.displaySec;
+  if (typeof displaySec !== "number" || displaySec < 2 || displaySec > 30) {
+    return { error: "'lowerThirds.displaySec' must be a number between 2 and 30." };
+  }
+  const fadeSec = opts.fadeSec ?? DEFAULT_OPTIONS.fadeSec;
+  if (typeof fadeSec !== "number" || fadeSec < 0 || fadeSec > 3) {
+    return { error: "'lowerThirds.fadeSec' must be a number between 0 and 3." };
+  }
+  const offsetSec = opts.offsetSec ?? DEFAULT_OPTIONS.offsetSec;
+  if (typeof offsetSec !== "number" || offsetSec < 0 || offsetSec > 60) {
+    return { error: "'lowerThirds.offsetSec' must be a number between 0 and 60." };
+  }
+  if (opts.showArtist !== undefined && typeof opts.showArtist !== "boolean") {
+    return { error: "'lowerThirds.showArtist' must be a boolean." };
+  }
+  return {
+    lowerThirds: {
+      position, font, fontSize, displaySec, fadeSec, offsetSec,
+      showArtist: opts.showArtist ?? DEFAULT_OPTIONS.showArtist,
+      // FFmpeg takes hex colors as 0xRRGGBB
+      color: /^[a-z]+$/i.test(color) ? color.toLowerCase() : `0x${color.replace(/^(#|0x)/i, "")}`,
+    },
+  };
+};
+
+/**
+ * On-screen window of each caption: from offsetSec after the track starts, for
+ * displaySec, but never past the track's end or the next track's start.
+ * @param {object} lowerThirds - Result of parseLowerThirds()
+ * @param {Array<{ title: string, artist: string|null, startSec: number, endSec: number }>} entries - In play order
+ * @returns {Array<{ title: string, artist: string|null, fromSec: number, toSec: number }>}
+ */
+const getCaptionTimes = (lowerThirds, entries) =>
+  entries
+    .map((e, i) => {
+      const fromSec = e.startSec + lowerThirds.offsetSec;
+      const limitSec = Math.min(e.endSec, entries[i + 1]?.startSec ?? Infinity);
+      return { title: e.title, artist: e.artist, fromSec, toSec: Math.min(fromSec + lowerThirds.displaySec, limitSec) };
+    })
+    .filter((c) => c.toSec - c.fromSec >= MIN_VISIBLE_SEC);
+
+/**
+ * drawtext chain that shows a timed, fading "now playing" caption per track.
+ * The chain is meant for a -filter_complex_script file (no shell escaping).
+ * @param {object} lowerThirds - Result of parseLowerThirds()
+ * @param {object} params
+ * @param {Array<{ title: string, artist: string|null, startSec: number, endSec: number }>} params.entries - Tracks in play order
+ * @param {number} params.width - Output frame width
+ * @param {number} params.height - Output frame height
+ * @returns {{ filter: string, captions: Array<{ title: string, artist: string|null, fromSec: number, toSec: number }> }} - filter is "" when no caption fits
+ */
+const buildLowerThirdsFilter = (lowerThirds, { entries, width, height }) => {
+  const captions = getCaptionTimes(lowerThirds, entries);
+  const scale = Math.min(width, height) / 1080;
+  const titleSize = Math.round(lowerThirds.fontSize * scale);
+  const artistSize = Math.round(titleSize * ARTIST_SCALE);
+  const gap = Math.round(titleSize * 0.25);
+  const margin = Math.round(Math.min(width, height) * MARGIN_RATIO);
+  const shadow = Math.max(1, Math.round(2 * scale));
+
+  const [vertical, horizontal] = lowerThirds.position.split("-");
+  const x = horizontal === "left" ? `${margin}`
+    : horizontal === "right" ? `w-text_w-${margin}`
+      : "(w-text_w)/2";
+  const fontFile = resolveFont(lowerThirds.font);
+  const style = (size) =>
+    `fontfile=${escapeFilterValue(fontFile, { shell: false })}:` +
+    `fontsize=${size}:fontcolor=${lowerThirds.color}:x=${x}:` +
+    `shadowcolor=black@0.6:shadowx=${shadow}:shadowy=${shadow}`;
+
+  const filters = [];
+  for (const c of captions) {
+    const lines = [{ text: c.title, size: titleSize }];
+    if (lowerThirds.showArtist && c.artist) lines.push({ text: c.artist, size: artistSize });
+    // Stack the lines from the chosen edge; fixed offsets keep baselines steady whatever the glyphs
+    const blockHeight = lines.reduce((sum, l) => sum + l.size, 0) + gap * (lines.length - 1);
+    let y = vertical === "top" ? margin : height - margin - blockHeight;
+
+    const a = c.fromSec.toFixed(3);
+    const b = c.toSec.toFixed(3);
+    const fade = Math.min(lowerThirds.fadeSec, (c.toSec - c.fromSec) / 2);
+    const f = fade.toFixed(3);
+    const alpha = fade > 0 ? `if(lt(t,${a}+${f}),(t-${a})/${f},if(gt(t,${b}-${f}),(${b}-t)/${f},1))` : "1";
+    for (const line of lines) {
+      filters.push(
+        `drawtext=text=${escapeDrawtext(line.text, { shell: false })}:${style(line.size)}:y=${y}:` +
+        `alpha=${escapeFilterValue(alpha, { shell: false })}:enable=${escapeFilterValue(`between(t,${a},${b})`, { shell: false })}`
+      );
+      y += line.size + gap;
+    }
+  }
+  return { filter: filters.join(","), captions };
+};
+
+module.exports = {
+  LOWER_THIRD_POSITIONS,
+  parseLowerThirds,
+  buildLowerThirdsFilter,
+};
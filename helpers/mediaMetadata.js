@@ -0,0 +1,128 @@
+const fs = require("fs-extra");
+
+// Request keys written as standard container tags (MP4/M4A atoms, ID3 frames, Vorbis comments)
+const METADATA_FIELDS = ["title", "artist", "album", "description", "comment", "genre", "date", "copyright"];
+const MAX_FIELD_LENGTH = 4000;
+const MAX_CUSTOM_TAGS = 20;
+const TAG_KEY_RE = /^[a-z][a-z0-9_]{0,31}$/i;
+
+/**
+ * Validate the 'metadata' request field
+ * { title, artist, album, description, comment, genre, date, copyright, tags: { key: value } }, all optional.
+ * @param {object} [raw]
+ * @returns {{ metadata?: { fields: object, tags: object }, error?: string }}
+ */
+const parseMetadata = (raw) => {
+  if (raw === undefined || raw === null) return { metadata: { fields: {}, tags: {} } };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: `'metadata' must be an object { ${METADATA_FIELDS.join(", ")}, tags }.` };
+  }
+  const fields = {};
+  for (const key of Object.keys(raw)) {
+    if (key === "tags") continue;
+    if (!METADATA_FIELDS.includes(key)) {
+      return { error: `Unknown 'metadata.${key}'. Use one of: ${METADATA_FIELDS.join(", ")}, or put it in 'metadata.tags'.` };
+    }
+    const value = raw[key];
+    if (typeof value !== "string" || value.length > MAX_FIELD_LENGTH) {
+      return { error: `'metadata.${key}' must be a string of at most ${MAX_FIELD_LENGTH} characters.` };
+    }
+    if (value.trim()) fields[key] = value.trim();
+  }
+
+  const tags = {};
+  if (raw.tags !== undefined) {
+    if (typeof raw.tags !== "object" || raw.tags === null || Array.isArray(raw.tags)) {
+      return { error: "'metadata.tags' must be an object of { key: value } pairs." };
+    }
+    const entries = Object.entries(raw.tags);
+    if (entries.length > MAX_CUSTOM_TAGS) {
+      return { error: `'metadata.tags' may contain at most ${MAX_CUSTOM_TAGS} entries.` };
+    }
+    for (const [key, value] of entries) {
+      if (!TAG_KEY_RE.test(key)) {
+        return { error: `'metadata.tags' key "${key}" must start with a letter and contain only letters, digits and underscores (max 32).` };
+      }
+      if (METADATA_FIELDS.includes(key.toLowerCase())) {
+        return { error: `'metadata.tags.${key}' is a standard field; set 'metadata.${key.toLowerCase()}' instead.` };
+      }
+      if ((typeof value !== "string" && typeof value !== "number") || String(value).length > MAX_FIELD_LENGTH) {
+        return { error: `'metadata.tags.${key}' must be a string or number of at most ${MAX_FIELD_LENGTH} characters.` };
+      }
+      tags[key] = String(value);
+    }
+  }
+  return { metadata: { fields, tags } };
+};
+
+/**
+ * Validate a 'chapters' request field: [{ title, startSec }] in play order
+ * (the 'chapters' array returned by /finalaudio can be passed back as-is).
+ * @param {Array<{ title: string, startSec: number }>} [raw]
+ * @returns {{ chapters?: Array<{ title: string, startSec: number }>|null, error?: string }}
+ */
+const parseChapterList = (raw) => {
+  if (raw === undefined || raw === null) return { chapters: null };
+  if (!Array.isArray(raw) || raw.length === 0 || raw.length > 500) {
+    return { error: "'chapters' must be a non-empty array of { title, startSec } (max 500)." };
+  }
+  for (let i = 0; i < raw.length; i++) {
+    const c = raw[i];
+    if (!c || typeof c.title !== "string" || !c.title.trim()) {
+      return { error: `'chapters[${i}].title' must be a non-empty string.` };
+    }
+    if (typeof c.startSec !== "number" || c.startSec < 0) {
+      return { error: `'chapters[${i}].startSec' must be a number >= 0.` };
+    }
+    if (i > 0 && c.startSec <= raw[i - 1].startSec) {
+      return { error: "'chapters' must be sorted by 'startSec' with no duplicates." };
+    }
+  }
+  return { chapters: raw.map((c) => ({ title: c.title.trim(), startSec: c.startSec })) };
+};
+
+// FFMETADATA1 values escape '=', ';', '#', '\' and line breaks with a backslash
+const escapeMetadataValue = (value) => String(value).replace(/[=;#\\\n]/g, (c) => `\\${c}`).replace(/\r/g, "");
+
+/**
+ * Write an FFMETADATA1 file with global tags and chapter markers.
+ * Mux it with: -i file -map_metadata N -map_chapters N
+ * Chapters end where the next one starts (crossfades overlap) or at totalSec.
+ * @param {string} filePath
+ * @param {object} params
+ * @param {object} params.tags - Key/value pairs; empty values are skipped
+ * @param {Array<{ title: string, startSec: number }>} [params.chapters]
+ * @param {number} params.totalSec - Length of the output
+ * @returns {Promise<string>} - filePath
+ */
+const writeMetadataFile = async (filePath, { tags, chapters = [], totalSec }) => {
+  const lines = [";FFMETADATA1"];
+  for (const [key, value] of Object.entries(tags)) {
+    if (value !== undefined && value !== null && value !== "") lines.push(`${key}=${escapeMetadataValue(value)}`);
+  }
+  const ms = (sec) => Math.round(sec * 1000);
+  chapters
+    .filter((c) => c.startSec < totalSec)
+    .forEach((c, i, list) => {
+      const endSec = Math.min(list[i + 1]?.startSec ?? totalSec, totalSec);
+      lines.push("[CHAPTER]", "TIMEBASE=1/1000", `START=${ms(c.startSec)}`, `END=${ms(endSec)}`, `title=${escapeMetadataValue(c.title)}`);
+    });
+  await fs.writeFile(filePath, `${lines.join("\n")}\n`);
+  return filePath;
+};
+
+/**
+ * Whether MP4/M4A output needs '-movflags use_metadata_tags' to keep custom keys
+ * (the default iTunes-style atoms only cover the standard fields)
+ * @param {object} metadata - Result of parseMetadata()
+ * @returns {boolean}
+ */
+const hasCustomTags = (metadata) => Object.keys(metadata.tags).length > 0;
+
+module.exports = {
+  METADATA_FIELDS,
+  parseMetadata,
+  parseChapterList,
+  writeMetadataFile,
+  hasCustomTags,
+};
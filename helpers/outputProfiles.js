@@ -0,0 +1,74 @@
+// Named render targets: frame size, how the source image fills it, bitrate
+// ceilings for the primary encode and the matching thumbnail size
+const OUTPUT_PROFILES = {
+  "landscape-1080p": {
+    width: 1920, height: 1080, crop: "cover",
+    videoBitrateK: 5000, maxrateK: 8000, bufsizeK: 10000,
+    thumbnail: { width: 1920, height: 1080 },
+  },
+  "landscape-4k": {
+    // YouTube caps thumbnails at 2MB, so 4K renders keep a 1080p thumbnail
+    width: 3840, height: 2160, crop: "cover",
+    videoBitrateK: 20000, maxrateK: 35000, bufsizeK: 45000,
+    thumbnail: { width: 1920, height: 1080 },
+  },
+  "landscape-720p": {
+    width: 1280, height: 720, crop: "cover",
+    videoBitrateK: 2500, maxrateK: 4000, bufsizeK: 5000,
+    thumbnail: { width: 1280, height: 720 },
+  },
+  "vertical-1080x1920": {
+    // Landscape artwork would lose two thirds of its width to a cover crop
+    width: 1080, height: 1920, crop: "blur-fill",
+    videoBitrateK: 5000, maxrateK: 8000, bufsizeK: 10000,
+    thumbnail: { width: 1080, height: 1920 },
+  },
+  "square-1080": {
+    width: 1080, height: 1080, crop: "cover",
+    videoBitrateK: 4000, maxrateK: 6000, bufsizeK: 8000,
+    thumbnail: { width: 1080, height: 1080 },
+  },
+};
+const DEFAULT_PROFILE = "landscape-1080p";
+const CROP_MODES = ["cover", "blur-fill"];
+
+/**
+ * Validate the 'profile' request field
+ * @param {string} [raw] - Profile name, default landscape-1080p
+ * @returns {{ profile?: { name: string, width: number, height: number, crop: string, videoBitrateK: number, maxrateK: number, bufsizeK: number, thumbnail: { width: number, height: number } }, error?: string }}
+ */
+const parseProfile = (raw) => {
+  const name = raw ?? DEFAULT_PROFILE;
+  if (typeof name !== "string" || !OUTPUT_PROFILES[name]) {
+    return { error: `'profile' must be one of: ${Object.keys(OUTPUT_PROFILES).join(", ")}.` };
+  }
+  return { profile: { name, ...OUTPUT_PROFILES[name] } };
+};
+
+/**
+ * Filter that fills a width x height frame with the source image
+ * - cover: scale up and centre-crop (the original behaviour)
+ * - blur-fill: fit the whole image, over a blurred cover-cropped copy of itself
+ * @param {string} crop - "cover" or "blur-fill"
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [tag] - Label prefix, must be unique per filter graph
+ * @param {{ x: number, y: number }|null} [focalPoint] - Point of the image (0-1) kept in view by the cover crop, default centre
+ * @returns {string} - Single-input, single-output filter chain
+ */
+const buildFrameFilter = (crop, width, height, tag = "", focalPoint = null) => {
+  const cropAt = focalPoint ? `:(iw-ow)*${focalPoint.x}:(ih-oh)*${focalPoint.y}` : "";
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}${cropAt}`;
+  if (crop !== "blur-fill") return cover;
+  return `split=2[${tag}bgsrc][${tag}fgsrc];` +
+    `[${tag}bgsrc]${cover},boxblur=40:2[${tag}bg];` +
+    `[${tag}fgsrc]scale=${width}:${height}:force_original_aspect_ratio=decrease[${tag}fg];` +
+    `[${tag}bg][${tag}fg]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+};
+
+module.exports = {
+  OUTPUT_PROFILES,
+  CROP_MODES,
+  parseProfile,
+  buildFrameFilter,
+};
@@ -0,0 +1,127 @@
+const { FFMPEG_PATH, runCommand } = require("./ffmpegUtils");
+const { getTrackOffsets } = require("./audioTransitions");
+const { requestError } = require("./requestError");
+
+// The final render runs under a 10-minute timeout; a still-image 1080p encode
+// manages roughly 12x realtime on the VPS, which caps a mix at ~2 hours.
+const RENDER_TIMEOUT_SEC = 10 * 60;
+const MIN_RENDER_SPEED = 12;
+const MAX_TARGET_DURATION_SEC = Number(process.env.MAX_TARGET_DURATION_SEC) || RENDER_TIMEOUT_SEC * MIN_RENDER_SPEED;
+const MIN_TARGET_DURATION_SEC = 30;
+// Don't start another track just to cut it after a few seconds
+const MIN_TAIL_SEC = 10;
+const END_FADE_SEC = 5;
+// Every entry is an FFmpeg merge input: keep the sequence short, and each track long enough to move it forward
+const MAX_LOOP_ENTRIES = 300;
+const MIN_LOOP_TRACK_SEC = 5;
+
+// Shared by the up-front check on trims and the one on downloaded lengths
+const shortTrackError = (index, lengthSec) =>
+  `files[${index}] is ${lengthSec.toFixed(2)}s long, too short to loop with 'targetDurationSec' (min ${MIN_LOOP_TRACK_SEC}s).`;
+const tooManyEntriesError = (targetSec) =>
+  `Reaching ${targetSec}s needs more than ${MAX_LOOP_ENTRIES} track entries; use longer tracks or a shorter 'targetDurationSec'.`;
+
+/**
+ * Validate the 'targetDurationSec' request field
+ * @param {number} [raw]
+ * @param {object[]} [tracks] - Result of parseTracks(); trims that leave a track too short to loop are rejected
+ * @param {object} [transition] - Result of parseTransition(), for the entry estimate
+ * @returns {{ targetDurationSec?: number|null, error?: string }}
+ */
+const parseTargetDuration = (raw, tracks = [], transition = null) => {
+  if (raw === undefined || raw === null) return { targetDurationSec: null };
+  if (typeof raw !== "number" || !Number.isFinite(raw)) {
+    return { error: "'targetDurationSec' must be a number of seconds." };
+  }
+  if (raw < MIN_TARGET_DURATION_SEC || raw > MAX_TARGET_DURATION_SEC) {
+    return {
+      error: `'targetDurationSec' must be between ${MIN_TARGET_DURATION_SEC} and ${MAX_TARGET_DURATION_SEC} seconds ` +
+        `(longer mixes cannot finish within the ${RENDER_TIMEOUT_SEC / 60}-minute render timeout).`,
+    };
+  }
+  const trimmed = tracks.map((t) => (t.endSec !== null ? t.endSec - (t.startSec || 0) : null));
+  const shortIndex = trimmed.findIndex((sec) => sec !== null && sec < MIN_LOOP_TRACK_SEC);
+  if (shortIndex !== -1) return { error: shortTrackError(shortIndex, trimmed[shortIndex]) };
+  // With every track trimmed, the longest window bounds how far each entry moves the mix
+  if (tracks.length && tracks.every((t) => t.endSec !== null)) {
+    const gap = transition && transition.mode === "gap" ? transition.durationSec : 0;
+    const longest = Math.max(...trimmed) + gap;
+    if ((raw - MIN_TAIL_SEC) / longest > MAX_LOOP_ENTRIES) return { error: tooManyEntriesError(raw) };
+  }
+  return { targetDurationSec: raw };
+};
+
+// Fisher–Yates; the first entry never repeats the previous pass's last track
+const shuffledPass = (count, previous) => {
+  const order = [...Array(count).keys()];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  if (count > 1 && order[0] === previous) {
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+};
+
+/**
+ * Repeat the track list until the mix reaches the target length
+ * @param {number[]} durations - Duration of each distinct track (seconds)
+ * @param {number} targetSec - Requested mix length
+ * @param {object} transition - Result of parseTransition()
+ * @param {boolean} [shuffle=false] - Shuffle every pass (no back-to-back repeats)
+ * @returns {{ sequence: number[], lengthSec: number }} - Track indexes in play order and the final mix length
+ * @throws {Error} - status 400 (requestError): a track shorter than MIN_LOOP_TRACK_SEC, or more than
+ *   MAX_LOOP_ENTRIES entries needed (only known once the tracks are downloaded)
+ */
+const buildLoopSequence = (durations, targetSec, transition, shuffle = false) => {
+  const shortIndex = durations.findIndex((d) => d < MIN_LOOP_TRACK_SEC);
+  if (shortIndex !== -1) throw requestError(shortTrackError(shortIndex, durations[shortIndex]));
+  const sequence = [];
+  let pass = [];
+  // Mix length so far, extended by one track at a time
+  let current = 0;
+  while (!sequence.length || targetSec - current >= MIN_TAIL_SEC) {
+    if (sequence.length >= MAX_LOOP_ENTRIES) {
+      throw requestError(tooManyEntriesError(targetSec));
+    }
+    if (!pass.length) {
+      pass = shuffle ? shuffledPass(durations.length, sequence[sequence.length - 1]) : [...durations.keys()];
+    }
+    const next = pass.shift();
+    if (sequence.length) {
+      // Start of the next track relative to the last one: its length plus gap, minus the crossfade
+      const last = durations[sequence[sequence.length - 1]];
+      current += getTrackOffsets([last, durations[next]], transition)[1] - last;
+    }
+    current += durations[next];
+    sequence.push(next);
+  }
+  return { sequence, lengthSec: Math.min(targetSec, Number(current.toFixed(3))) };
+};
+
+/**
+ * Cut the merged mix at lengthSec and fade out its final seconds
+ * @param {string} inputPath - Merged WAV
+ * @param {string} outputPath - Trimmed WAV to write
+ * @param {number} lengthSec - Final mix length
+ * @returns {Promise<string>} - outputPath
+ */
+const applyEndFade = async (inputPath, outputPath, lengthSec) => {
+  const fade = Math.min(END_FADE_SEC, lengthSec / 2);
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${inputPath}" ` +
+    `-af "atrim=end=${lengthSec.toFixed(3)},afade=t=out:st=${(lengthSec - fade).toFixed(3)}:d=${fade}" ` +
+    `-acodec pcm_s16le -ar 44100 -ac 2 "${outputPath}"`,
+    5 * 60 * 1000
+  );
+  return outputPath;
+};
+
+module.exports = {
+  MAX_TARGET_DURATION_SEC,
+  MAX_LOOP_ENTRIES,
+  parseTargetDuration,
+  buildLoopSequence,
+  applyEndFade,
+};
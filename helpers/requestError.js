@@ -0,0 +1,9 @@
+/**
+ * An error caused by the request rather than the server, for checks that can only run mid-job
+ * (e.g. once the audio length is known). Convert() answers it with a 400 instead of a 500.
+ * @param {string} message - Shown to the client as `error`
+ * @returns {Error & { status: number }}
+ */
+const requestError = (message) => Object.assign(new Error(message), { status: 400 });
+
+module.exports = { requestError };
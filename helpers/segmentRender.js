@@ -0,0 +1,101 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { FFMPEG_PATH, runCommand, escapeConcatPath } = require("./ffmpegUtils");
+
+const RENDER_STRATEGIES = ["full", "segment-loop"];
+const DEFAULT_STRATEGY = "full";
+// One GOP per segment: a keyframe every SEGMENT_SEC keeps seeking responsive
+const SEGMENT_SEC = 10;
+const FPS = 25;
+
+/**
+ * Validate the 'renderStrategy' request field
+ * - full: encode every frame of the video (default)
+ * - segment-loop: encode a short segment once and stream-copy it to the audio length.
+ *   Only for backgrounds that repeat exactly: a still image or a looping clip,
+ *   without motion or audio/time-dependent overlays.
+ * @param {string} [raw]
+ * @param {object} features - Parsed request options that change over time
+ * @param {object} features.motion - Result of parseMotion()
+ * @param {object|null} [features.slideshow]
+ * @param {object|null} [features.visualizer]
+ * @param {object|null} [features.lowerThirds]
+ * @returns {{ renderStrategy?: string, error?: string }}
+ */
+const parseRenderStrategy = (raw, { motion, slideshow = null, visualizer = null, lowerThirds = null }) => {
+  const strategy = raw ?? DEFAULT_STRATEGY;
+  if (!RENDER_STRATEGIES.includes(strategy)) {
+    return { error: `'renderStrategy' must be one of: ${RENDER_STRATEGIES.join(", ")}.` };
+  }
+  if (strategy === "segment-loop") {
+    const conflicts = [
+      motion.preset !== "none" && "'motion'",
+      slideshow && "'images'",
+      visualizer && "'visualizer'",
+      lowerThirds && "'lowerThirds'",
+    ].filter(Boolean);
+    if (conflicts.length > 0) {
+      return { error: `'renderStrategy' "segment-loop" needs a background that repeats exactly; it cannot be combined with ${conflicts.join(", ")}.` };
+    }
+  }
+  return { renderStrategy: strategy };
+};
+
+/**
+ * Encode SEGMENT_SEC of a still image at full quality, as a single GOP
+ * @param {object} params
+ * @param {string} params.imagePath
+ * @param {string} params.frameFilter - Scale/crop to the output size
+ * @param {object} params.profile - Result of parseProfile()
+ * @param {string} [params.encodeArgs] - x264 rate control (default: CRF 18 under the profile's maxrate)
+ * @param {string} params.outPath - MP4 to write
+ * @returns {Promise<{ path: string, lengthSec: number }>}
+ */
+const encodeStillSegment = async ({ imagePath, frameFilter, profile, encodeArgs, outPath }) => {
+  const rateArgs = encodeArgs || `-preset slow -crf 18 -maxrate ${profile.maxrateK}k -bufsize ${profile.bufsizeK}k`;
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -loop 1 -framerate ${FPS} -i "${imagePath}" -t ${SEGMENT_SEC} ` +
+    `-vf "${frameFilter},format=yuv420p" -an -c:v libx264 ${rateArgs} -tune stillimage ` +
+    `-g ${SEGMENT_SEC * FPS} -pix_fmt yuv420p "${outPath}"`,
+    5 * 60 * 1000
+  );
+  return { path: outPath, lengthSec: SEGMENT_SEC };
+};
+
+/**
+ * Repeat an encoded segment to the audio length with stream copy and mux the audio.
+ * The concat demuxer rewrites timestamps, so no frame is decoded or re-encoded.
+ * @param {object} params
+ * @param {string} params.segmentPath - H.264 MP4 at the output size
+ * @param {number} params.segmentSec - Segment length
+ * @param {string} params.audioPath - Final audio
+ * @param {number} params.durationSec - Output length (the audio's)
+ * @param {string} params.jobDir
+ * @param {string} params.outPath - MP4 to write
+ * @param {string} [params.audioArgs] - Audio codec arguments (default: copy)
+ * @param {string} [params.extraInputs] - Inputs after the audio, e.g. an FFMETADATA1 file (index 2)
+ * @param {string} [params.outputArgs] - Extra output options, e.g. -map_metadata / -movflags
+ * @returns {Promise<{ repeats: number }>}
+ */
+const extendSegment = async ({
+  segmentPath, segmentSec, audioPath, durationSec, jobDir, outPath,
+  audioArgs = "-c:a copy", extraInputs = "", outputArgs = "-movflags +faststart",
+}) => {
+  const repeats = Math.max(1, Math.ceil(durationSec / segmentSec));
+  const listPath = path.join(jobDir, "segment_list.txt");
+  const line = `file '${escapeConcatPath(segmentPath)}'`;
+  await fs.writeFile(listPath, Array(repeats).fill(line).join("\n"));
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -f concat -safe 0 -i "${listPath}" -i "${audioPath}" ${extraInputs} ` +
+    `-map 0:v -map 1:a -c:v copy ${audioArgs} -t ${durationSec.toFixed(3)} ${outputArgs} "${outPath}"`,
+    10 * 60 * 1000
+  );
+  return { repeats };
+};
+
+module.exports = {
+  RENDER_STRATEGIES,
+  parseRenderStrategy,
+  encodeStillSegment,
+  extendSegment,
+};
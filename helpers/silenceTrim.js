@@ -0,0 +1,89 @@
+const { FFMPEG_PATH, runCommand } = require("./ffmpegUtils");
+
+const DEFAULT_OPTIONS = { thresholdDb: -50, minSilenceSec: 0.5 };
+// Tolerance when deciding that a silence touches the start/end of the file
+const EDGE_EPSILON_SEC = 0.05;
+
+/**
+ * Validate the 'trimSilence' request field
+ * true → defaults, or { thresholdDb, minSilenceSec }. Omitted/false → disabled.
+ * @param {boolean|object} [raw]
+ * @returns {{ trimSilence?: { thresholdDb: number, minSilenceSec: number }|null, error?: string }}
+ */
+const parseTrimSilence = (raw) => {
+  if (raw === undefined || raw === null || raw === false) return { trimSilence: null };
+  if (raw === true) return { trimSilence: { ...DEFAULT_OPTIONS } };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "'trimSilence' must be true or an object { thresholdDb, minSilenceSec }." };
+  }
+  const opts = { ...DEFAULT_OPTIONS };
+  if (raw.thresholdDb !== undefined) {
+    if (typeof raw.thresholdDb !== "number" || raw.thresholdDb < -90 || raw.thresholdDb > -20) {
+      return { error: "'trimSilence.thresholdDb' must be a number between -90 and -20." };
+    }
+    opts.thresholdDb = raw.thresholdDb;
+  }
+  if (raw.minSilenceSec !== undefined) {
+    if (typeof raw.minSilenceSec !== "number" || raw.minSilenceSec < 0.1 || raw.minSilenceSec > 30) {
+      return { error: "'trimSilence.minSilenceSec' must be a number between 0.1 and 30." };
+    }
+    opts.minSilenceSec = raw.minSilenceSec;
+  }
+  return { trimSilence: opts };
+};
+
+/**
+ * Find silence touching the head and tail of a track
+ * @param {string} wavPath
+ * @param {{ thresholdDb: number, minSilenceSec: number }} opts
+ * @param {number} duration - Track duration in seconds
+ * @returns {Promise<{ headSec: number, tailSec: number }>}
+ */
+const detectEdgeSilence = async (wavPath, opts, duration) => {
+  const output = await runCommand(
+    `"${FFMPEG_PATH}" -hide_banner -nostats -i "${wavPath}" -af "silencedetect=noise=${opts.thresholdDb}dB:d=${opts.minSilenceSec}" -f null -`,
+    5 * 60 * 1000
+  );
+  const starts = [...output.matchAll(/silence_start:\s*(-?[\d.]+)/g)].map((m) => parseFloat(m[1]));
+  const ends = [...output.matchAll(/silence_end:\s*(-?[\d.]+)/g)].map((m) => parseFloat(m[1]));
+  if (!starts.length) return { headSec: 0, tailSec: 0 };
+
+  const headSec = starts[0] <= EDGE_EPSILON_SEC ? (ends[0] ?? duration) : 0;
+  // Trailing silence has no silence_end on older FFmpeg, or one at EOF on newer builds
+  const lastStart = starts[starts.length - 1];
+  const lastEnd = ends.length === starts.length ? ends[ends.length - 1] : null;
+  const tailSec = lastEnd === null || lastEnd >= duration - EDGE_EPSILON_SEC ? duration - lastStart : 0;
+  return { headSec: Math.max(0, headSec), tailSec: Math.max(0, tailSec) };
+};
+
+/**
+ * Remove leading/trailing silence from a track
+ * @param {string} wavPath
+ * @param {{ thresholdDb: number, minSilenceSec: number }} opts
+ * @param {number} duration - Track duration in seconds
+ * @param {string} outPath - Trimmed WAV to write
+ * @returns {Promise<{ path: string, headSec: number, tailSec: number, skipped?: string }>}
+ */
+const trimEdgeSilence = async (wavPath, opts, duration, outPath) => {
+  const { headSec, tailSec } = await detectEdgeSilence(wavPath, opts, duration);
+  const round = (n) => Number(n.toFixed(3));
+  if (headSec === 0 && tailSec === 0) {
+    return { path: wavPath, headSec: 0, tailSec: 0 };
+  }
+  if (headSec + tailSec >= duration - opts.minSilenceSec) {
+    return { path: wavPath, headSec: 0, tailSec: 0, skipped: "track is (almost) entirely silent" };
+  }
+  const end = duration - tailSec;
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${wavPath}" ` +
+    `-af "atrim=start=${headSec.toFixed(3)}:end=${end.toFixed(3)},asetpts=PTS-STARTPTS" -acodec pcm_s16le -ar 44100 -ac 2 "${outPath}"`,
+    5 * 60 * 1000
+  );
+  return { path: outPath, headSec: round(headSec), tailSec: round(tailSec) };
+};
+
+module.exports = {
+  parseTrimSilence,
+  detectEdgeSilence,
+  trimEdgeSilence,
+};
@@ -0,0 +1,189 @@
+const { buildMotionFilter } = require("./videoMotion");
+const { requestError } = require("./requestError");
+
+const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\/.+/i.test(u);
+const IMAGE_EXT_RE = /\.(jpg|jpeg|png|gif|bmp|webp)$/i;
+
+const MAX_IMAGES = 50;
+// Every segment is a filter chain and overlay of its own; keep the graph manageable
+const MAX_SEGMENTS = 200;
+const DEFAULT_CROSSFADE_SEC = 1.5;
+const FPS = 25;
+
+const tooManySegmentsError = (count) =>
+  `Slideshow needs ${count} image changes (max ${MAX_SEGMENTS}); use longer image durations.`;
+
+// Start of every image in duration mode: cycle through them until the mix ends (no sub-second tail slide)
+const cycleStarts = (images, totalSec) => {
+  const starts = [];
+  let t = 0;
+  for (let k = 0; k === 0 || t < totalSec - 1; k++) {
+    const imageIndex = k % images.length;
+    starts.push({ imageIndex, startSec: t });
+    t += images[imageIndex].durationSec;
+  }
+  return starts;
+};
+
+/**
+ * Validate the 'images' and 'imageCrossfadeSec' request fields
+ * Every image has either a durationSec (shown in order, cycling to the end of
+ * the mix) or a trackIndex into 'files' (shown whenever that track starts).
+ * @param {Array<object>} [raw]
+ * @param {number} trackCount - Number of entries in 'files'
+ * @param {number} [crossfadeSec]
+ * @param {number|null} [totalSec] - Mix length when known up front ('targetDurationSec'), to check MAX_SEGMENTS
+ * @returns {{ slideshow?: { mode: string, images: object[], crossfadeSec: number }|null, error?: string }}
+ */
+const parseSlideshow = (raw, trackCount, crossfadeSec, totalSec = null) => {
+  if (raw === undefined || raw === null) return { slideshow: null };
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: "'images' must be a non-empty array." };
+  }
+  if (raw.length > MAX_IMAGES) {
+    return { error: `Maximum ${MAX_IMAGES} images allowed in 'images'.` };
+  }
+
+  const images = [];
+  let mode = null;
+  for (let i = 0; i < raw.length; i++) {
+    const at = `images[${i}]`;
+    const img = raw[i];
+    if (!img || typeof img !== "object" || Array.isArray(img)) {
+      return { error: `${at} must be an object { url, durationSec } or { url, trackIndex }.` };
+    }
+    if (!isHttpUrl(img.url) || !IMAGE_EXT_RE.test(img.url.split("?")[0])) {
+      return { error: `${at}.url must be an HTTP/HTTPS JPG, JPEG, PNG, GIF, BMP or WEBP URL.` };
+    }
+    const hasDuration = img.durationSec !== undefined;
+    const hasTrack = img.trackIndex !== undefined;
+    if (hasDuration === hasTrack) {
+      return { error: `${at} needs exactly one of 'durationSec' or 'trackIndex'.` };
+    }
+    const imgMode = hasDuration ? "duration" : "track";
+    if (mode && imgMode !== mode) {
+      return { error: "All 'images' must use the same mode: either all 'durationSec' or all 'trackIndex'." };
+    }
+    mode = imgMode;
+    if (hasDuration && (typeof img.durationSec !== "number" || img.durationSec < 1 || img.durationSec > 3600)) {
+      return { error: `${at}.durationSec must be a number between 1 and 3600.` };
+    }
+    if (hasTrack && (!Number.isInteger(img.trackIndex) || img.trackIndex < 0 || img.trackIndex >= trackCount)) {
+      return { error: `${at}.trackIndex must be an integer between 0 and ${trackCount - 1}.` };
+    }
+    images.push({ url: img.url, durationSec: img.durationSec ?? null, trackIndex: img.trackIndex ?? null });
+  }
+
+  const fade = crossfadeSec ?? DEFAULT_CROSSFADE_SEC;
+  if (typeof fade !== "number" || fade < 0 || fade > 5) {
+    return { error: "'imageCrossfadeSec' must be a number between 0 and 5." };
+  }
+  if (mode === "duration" && totalSec) {
+    const count = cycleStarts(images, totalSec).length;
+    if (count > MAX_SEGMENTS) return { error: tooManySegmentsError(count) };
+  }
+  return { slideshow: { mode, images, crossfadeSec: fade } };
+};
+
+/**
+ * Lay the images out on the mix timeline
+ * @param {object} slideshow - Result of parseSlideshow()
+ * @param {object} params
+ * @param {number} params.totalSec - Mix length
+ * @param {Array<{ trackIndex: number, startSec: number }>} params.trackStarts - Chapter starts with the track each one plays
+ * @returns {Array<{ imageIndex: number, startSec: number, durationSec: number }>}
+ * @throws {Error} - status 400 (requestError): more than MAX_SEGMENTS, when the mix length wasn't known up front
+ */
+const buildSegments = (slideshow, { totalSec, trackStarts }) => {
+  let starts = [];
+  if (slideshow.mode === "duration") {
+    starts = cycleStarts(slideshow.images, totalSec);
+  } else {
+    const byTrack = new Map(slideshow.images.map((img, i) => [img.trackIndex, i]));
+    // Until a bound track plays, show the image bound to the lowest track index
+    const first = [...byTrack.keys()].sort((a, b) => a - b)[0];
+    starts.push({ imageIndex: byTrack.get(first), startSec: 0 });
+    for (const { trackIndex, startSec } of trackStarts) {
+      if (!byTrack.has(trackIndex)) continue;
+      const imageIndex = byTrack.get(trackIndex);
+      const last = starts[starts.length - 1];
+      if (startSec <= 0) last.imageIndex = imageIndex;
+      else if (last.imageIndex !== imageIndex) starts.push({ imageIndex, startSec });
+    }
+  }
+
+  const segments = starts.map((s, i) => ({
+    ...s,
+    durationSec: Number(((i + 1 < starts.length ? starts[i + 1].startSec : totalSec) - s.startSec).toFixed(3)),
+  }));
+  if (segments.length > MAX_SEGMENTS) {
+    throw requestError(tooManySegmentsError(segments.length));
+  }
+  return segments;
+};
+
+/**
+ * FFmpeg inputs and filter graph that render the slideshow as the video stream.
+ * Every distinct image is one input, decoded once and repeated by the loop filter, then
+ * split into its segments. Each segment is trimmed to its slot, fitted to the frame (plus
+ * motion), faded in over the previous one starting exactly at its start time, and overlaid
+ * on a black base.
+ * @param {object} params
+ * @param {Array<object>} params.segments - Result of buildSegments()
+ * @param {string[]} params.imagePaths - Downloaded image per entry of slideshow.images
+ * @param {object} params.slideshow - Result of parseSlideshow()
+ * @param {object} params.motion - Result of parseMotion()
+ * @param {number} params.totalSec - Mix length
+ * @param {number} [params.width=1920]
+ * @param {number} [params.height=1080]
+ * @param {string} [params.crop="cover"] - Crop strategy of the output profile
+ * @param {string} [params.outLabel="vout"] - Label of the rendered video
+ * @returns {{ inputArgs: string, graph: string[], inputCount: number }} - Filter graph lines (see writeFilterScript)
+ */
+const buildSlideshowInputs = ({ segments, imagePaths, slideshow, motion, totalSec, width = 1920, height = 1080, crop = "cover", outLabel = "vout" }) => {
+  const inputs = [];
+  const graph = [`color=c=black:s=${width}x${height}:r=${FPS}:d=${totalSec.toFixed(3)}[base0]`];
+
+  // One split output per segment showing the image, labelled by segment
+  const used = [...new Set(segments.map((seg) => seg.imageIndex))];
+  used.forEach((imageIndex, k) => {
+    inputs.push(`-framerate ${FPS} -i "${imagePaths[imageIndex]}"`);
+    const labels = segments.flatMap((seg, i) => (seg.imageIndex === imageIndex ? [`[img${i}]`] : []));
+    graph.push(
+      `[${k}:v]loop=loop=-1:size=1,setpts=N/${FPS}/TB,trim=end=${totalSec.toFixed(3)},split=${labels.length}${labels.join("")}`
+    );
+  });
+
+  segments.forEach((seg, i) => {
+    // Each segment outlives its slot by the next crossfade so there is no gap underneath
+    const next = segments[i + 1];
+    const fadeOut = next ? Math.min(slideshow.crossfadeSec, seg.durationSec / 2, next.durationSec / 2) : 0;
+    const fadeIn = i === 0 ? 0 : Math.min(slideshow.crossfadeSec, seg.durationSec / 2, segments[i - 1].durationSec / 2);
+    const length = seg.durationSec + fadeOut;
+
+    const chain = [
+      `trim=start=${seg.startSec.toFixed(3)}:duration=${length.toFixed(3)}`,
+      "setpts=PTS-STARTPTS",
+      buildMotionFilter(motion, { width, height, crop, tag: `s${i}_`, durationSec: length }),
+      "format=yuva420p",
+    ];
+    if (fadeIn > 0) chain.push(`fade=t=in:st=0:d=${fadeIn.toFixed(3)}:alpha=1`);
+    chain.push(`setpts=PTS-STARTPTS+${seg.startSec.toFixed(3)}/TB`);
+    graph.push(`[img${i}]${chain.join(",")}[s${i}]`);
+    const out = i === segments.length - 1 ? "[vmix]" : `[base${i + 1}]`;
+    graph.push(`[base${i}][s${i}]overlay=eof_action=pass${out}`);
+  });
+  graph.push(`[vmix]format=yuv420p[${outLabel}]`);
+
+  return {
+    inputArgs: inputs.join(" "),
+    graph,
+    inputCount: inputs.length,
+  };
+};
+
+module.exports = {
+  parseSlideshow,
+  buildSegments,
+  buildSlideshowInputs,
+};
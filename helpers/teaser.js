@@ -0,0 +1,161 @@
+const { FFMPEG_PATH, PROGRESS_ARGS, runCommand } = require("./ffmpegUtils");
+const { OUTPUT_PROFILES, parseProfile } = require("./outputProfiles");
+const { buildMotionFilter } = require("./videoMotion");
+
+const TEASER_WINDOWS = ["energetic", "loudest"];
+const DEFAULT_OPTIONS = { durationSec: 30, window: "energetic", fadeSec: 1.5, profile: "vertical-1080x1920", showVibe: false };
+// ebur128 logs momentary loudness every 100ms
+const FRAME_SEC = 0.1;
+// Floor for momentary loudness so gaps between tracks don't count as huge onsets
+const LOUDNESS_FLOOR = -50;
+const MAX_ONSET_DB = 6;
+
+/**
+ * Validate the 'teaser' request field
+ * true → defaults, or { durationSec, startSec | window, fadeSec, profile, showVibe }.
+ * @param {boolean|object} [raw]
+ * @returns {{ teaser?: { durationSec: number, startSec: number|null, window: string|null, fadeSec: number, profile: object, showVibe: boolean }|null, error?: string }}
+ */
+const parseTeaser = (raw) => {
+  if (raw === undefined || raw === null || raw === false) return { teaser: null };
+  const opts = raw === true ? {} : raw;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    return { error: "'teaser' must be true or an object { durationSec, startSec, window, fadeSec, profile, showVibe }." };
+  }
+  const durationSec = opts.durationSec ?? DEFAULT_OPTIONS.durationSec;
+  if (typeof durationSec !== "number" || durationSec < 15 || durationSec > 60) {
+    return { error: "'teaser.durationSec' must be a number between 15 and 60." };
+  }
+  if (opts.startSec !== undefined && opts.window !== undefined) {
+    return { error: "Use either 'teaser.startSec' or 'teaser.window', not both." };
+  }
+  if (opts.startSec !== undefined && (typeof opts.startSec !== "number" || opts.startSec < 0)) {
+    return { error: "'teaser.startSec' must be a number >= 0." };
+  }
+  const window = opts.startSec !== undefined ? null : (opts.window ?? DEFAULT_OPTIONS.window);
+  if (window !== null && !TEASER_WINDOWS.includes(window)) {
+    return { error: `'teaser.window' must be one of: ${TEASER_WINDOWS.join(", ")}.` };
+  }
+  const fadeSec = opts.fadeSec ?? DEFAULT_OPTIONS.fadeSec;
+  if (typeof fadeSec !== "number" || fadeSec < 0 || fadeSec > 5) {
+    return { error: "'teaser.fadeSec' must be a number between 0 and 5." };
+  }
+  const profileName = opts.profile ?? DEFAULT_OPTIONS.profile;
+  if (!OUTPUT_PROFILES[profileName]) {
+    return { error: `'teaser.profile' must be one of: ${Object.keys(OUTPUT_PROFILES).join(", ")}.` };
+  }
+  if (opts.showVibe !== undefined && typeof opts.showVibe !== "boolean") {
+    return { error: "'teaser.showVibe' must be a boolean." };
+  }
+  return {
+    teaser: {
+      durationSec,
+      startSec: opts.startSec ?? null,
+      window,
+      fadeSec,
+      profile: parseProfile(profileName).profile,
+      showVibe: opts.showVibe === true,
+    },
+  };
+};
+
+/**
+ * Momentary loudness (LUFS) every 100ms
+ * @param {string} audioPath
+ * @param {string} [preFilter] - Filter applied before measuring (e.g. highpass)
+ * @returns {Promise<number[]>}
+ */
+const measureMomentaryLoudness = async (audioPath, preFilter = "") => {
+  const output = await runCommand(
+    `"${FFMPEG_PATH}" -hide_banner -nostats -i "${audioPath}" ` +
+    `-af "${preFilter ? `${preFilter},` : ""}ebur128=framelog=info" -f null -`,
+    10 * 60 * 1000
+  );
+  return [...output.matchAll(/\bM:\s*(-?[\d.]+|-inf)/g)].map((m) => (m[1] === "-inf" ? -120 : parseFloat(m[1])));
+};
+
+/**
+ * Pick where the teaser starts
+ * - loudest: the window with the highest mean momentary power
+ * - energetic: the window with the most onsets (rises in loudness above 200Hz,
+ *   i.e. drums and plucks rather than sustained pads and bass)
+ * @param {string} audioPath - Final mix
+ * @param {object} teaser - Result of parseTeaser()
+ * @param {number} totalSec - Mix length
+ * @returns {Promise<{ startSec: number, durationSec: number }>}
+ */
+const findTeaserWindow = async (audioPath, teaser, totalSec) => {
+  const durationSec = Math.min(teaser.durationSec, totalSec);
+  const latestStart = Math.max(0, totalSec - durationSec);
+  if (teaser.window === null) {
+    return { startSec: Math.min(teaser.startSec, latestStart), durationSec };
+  }
+
+  let scores;
+  if (teaser.window === "loudest") {
+    scores = (await measureMomentaryLoudness(audioPath)).map((m) => Math.pow(10, m / 10));
+  } else {
+    const m = (await measureMomentaryLoudness(audioPath, "highpass=f=200")).map((v) => Math.max(LOUDNESS_FLOOR, v));
+    scores = m.map((v, i) => (i === 0 ? 0 : Math.min(MAX_ONSET_DB, Math.max(0, v - m[i - 1]))));
+  }
+
+  const frames = Math.round(durationSec / FRAME_SEC);
+  if (scores.length <= frames) return { startSec: 0, durationSec };
+  // Sliding window sum; frame i covers the 100ms ending at (i + 1) * FRAME_SEC
+  let sum = scores.slice(0, frames).reduce((a, b) => a + b, 0);
+  let best = sum, bestStart = 0;
+  for (let i = frames; i < scores.length; i++) {
+    sum += scores[i] - scores[i - frames];
+    if (sum > best) {
+      best = sum;
+      bestStart = i - frames + 1;
+    }
+  }
+  return { startSec: Number(Math.min(bestStart * FRAME_SEC, latestStart).toFixed(1)), durationSec };
+};
+
+/**
+ * Render the teaser: a slice of the final mix with faded audio over the background
+ * @param {object} params
+ * @param {string} params.audioPath - Final mix
+ * @param {string} params.imagePath - Background still
+ * @param {string} [params.videoPath] - Looping background clip, used instead of the still
+ * @param {object} params.motion - Result of parseMotion()
+ * @param {object} params.teaser - Result of parseTeaser()
+ * @param {number} params.startSec
+ * @param {number} params.durationSec
+ * @param {string} [params.textFilter] - drawtext chain overlaid on the video
+ * @param {string} params.outPath - MP4 to write
+ * @param {function(number): void} [params.onProgress] - Called with the percent rendered
+ * @returns {Promise<string>} - outPath
+ */
+const renderTeaser = async ({ audioPath, imagePath, videoPath, motion, teaser, startSec, durationSec, textFilter, outPath, onProgress }) => {
+  const { profile } = teaser;
+  const fade = Math.min(teaser.fadeSec, durationSec / 4);
+  const videoFilter = buildMotionFilter(motion, {
+    width: profile.width, height: profile.height, crop: profile.crop, durationSec,
+  }) + (textFilter ? `,${textFilter}` : "");
+  const audioFilter = fade > 0
+    ? `-af "afade=t=in:d=${fade},afade=t=out:st=${(durationSec - fade).toFixed(3)}:d=${fade}"`
+    : "";
+  const tune = motion.preset === "none" && !videoPath ? "-tune stillimage" : "";
+  const videoInput = videoPath ? `-stream_loop -1 -i "${videoPath}"` : `-loop 1 -i "${imagePath}"`;
+
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${PROGRESS_ARGS} ${videoInput} ` +
+    `-ss ${startSec.toFixed(3)} -t ${durationSec.toFixed(3)} -i "${audioPath}" ` +
+    `-map 0:v -map 1:a -c:v libx264 -preset medium -crf 20 ${tune} ` +
+    `-maxrate ${profile.maxrateK}k -bufsize ${profile.bufsizeK}k -vf "${videoFilter}" ` +
+    `-c:a aac -b:a 128k ${audioFilter} -pix_fmt yuv420p -movflags +faststart -t ${durationSec.toFixed(3)} "${outPath}"`,
+    10 * 60 * 1000,
+    { durationSec, onProgress }
+  );
+  return outPath;
+};
+
+module.exports = {
+  TEASER_WINDOWS,
+  parseTeaser,
+  findTeaserWindow,
+  renderTeaser,
+};
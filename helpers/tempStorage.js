@@ -0,0 +1,173 @@
+// Per-job directories under temp/. A job's directory is never touched while the job is
+// active; once it finishes, a background sweeper removes it after the TTL, or sooner
+// (oldest first) when temp/ grows past the high-water mark.
+const fs = require("fs-extra");
+const path = require("path");
+
+const TEMP_DIR = path.join(process.cwd(), "temp");
+// Job IDs are uuid v4s; anything else in a download URL is rejected before it reaches a path
+const JOB_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const readSetting = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    console.warn(`[STORAGE] Ignoring ${name}="${raw}" (must be a positive number), using ${fallback}`);
+    return fallback;
+  }
+  return value;
+};
+
+// Finished jobs (and their download links) are kept this long
+const JOB_TTL_MIN = readSetting("TEMP_JOB_TTL_MIN", 120);
+// Above this size finished jobs are removed early, oldest first, down to LOW_WATER_RATIO of it
+const HIGH_WATER_MB = readSetting("TEMP_HIGH_WATER_MB", 5120);
+const LOW_WATER_RATIO = 0.8;
+const SWEEP_INTERVAL_SEC = readSetting("TEMP_SWEEP_INTERVAL_SEC", 300);
+
+// jobId → { createdAt, finishedAt } for jobs started since the last restart
+const jobs = new Map();
+let sweeping = null;
+
+/**
+ * Create a job's directory and mark the job active
+ * @param {string} jobId
+ * @returns {Promise<string>} - Directory path
+ */
+const createJobDir = async (jobId) => {
+  const dir = path.join(TEMP_DIR, jobId);
+  jobs.set(jobId, { createdAt: Date.now(), finishedAt: null });
+  await fs.ensureDir(dir);
+  // A new job may push temp/ past the high-water mark; don't wait for the next interval
+  sweepTempDir().catch(() => { });
+  return dir;
+};
+
+/**
+ * Mark a job finished: its directory expires JOB_TTL_MIN from now
+ * @param {string} jobId
+ */
+const releaseJobDir = (jobId) => {
+  const job = jobs.get(jobId);
+  if (job && !job.finishedAt) job.finishedAt = Date.now();
+};
+
+const getSize = async (p) => {
+  const st = await fs.stat(p);
+  if (!st.isDirectory()) return st.size;
+  let total = 0;
+  for (const entry of await fs.readdir(p)) {
+    try {
+      total += await getSize(path.join(p, entry));
+    } catch (_) { } // removed while we were counting
+  }
+  return total;
+};
+
+/**
+ * Every entry in temp/ with its size and age. Entries left from before a restart
+ * count as finished at their last modification.
+ * @returns {Promise<Array<{ jobId: string, path: string, active: boolean, createdAt: number,
+ *   finishedAt: number|null, expiresAt: number|null, sizeBytes: number }>>}
+ */
+const listJobDirs = async () => {
+  if (!(await fs.pathExists(TEMP_DIR))) return [];
+  const entries = [];
+  for (const name of await fs.readdir(TEMP_DIR)) {
+    const p = path.join(TEMP_DIR, name);
+    try {
+      const st = await fs.stat(p);
+      const job = jobs.get(name) || { createdAt: st.birthtimeMs || st.mtimeMs, finishedAt: st.mtimeMs };
+      entries.push({
+        jobId: name,
+        path: p,
+        active: !job.finishedAt,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.finishedAt ? job.finishedAt + JOB_TTL_MIN * 60 * 1000 : null,
+        sizeBytes: await getSize(p),
+      });
+    } catch (_) { } // removed while listing
+  }
+  return entries;
+};
+
+/**
+ * Total size of temp/
+ * @returns {Promise<number>} - Bytes
+ */
+const getTempDirSize = async () => (await listJobDirs()).reduce((sum, e) => sum + e.sizeBytes, 0);
+
+const removeEntry = async (entry, reason) => {
+  try {
+    await fs.remove(entry.path);
+    jobs.delete(entry.jobId);
+    console.log(`[SWEEP] Removed ${entry.jobId} (${reason}, ${(entry.sizeBytes / 1024 / 1024).toFixed(2)} MB)`);
+    return true;
+  } catch (err) {
+    console.error(`[SWEEP ERROR] Failed to delete ${entry.path}: ${err.message}`);
+    return false;
+  }
+};
+
+const sweep = async () => {
+  const now = Date.now();
+  const entries = await listJobDirs();
+  let total = entries.reduce((sum, e) => sum + e.sizeBytes, 0);
+  let removed = 0;
+  let freedBytes = 0;
+  const highWater = HIGH_WATER_MB * 1024 * 1024;
+  // Past the mark, free down to the low-water level so the next job doesn't trigger it again
+  const target = total > highWater ? highWater * LOW_WATER_RATIO : Infinity;
+  const finished = entries.filter((e) => !e.active).sort((a, b) => a.finishedAt - b.finishedAt);
+  for (const entry of finished) {
+    const expired = entry.expiresAt <= now;
+    if (!expired && total <= target) continue;
+    if (await removeEntry(entry, expired ? "expired" : "high-water mark")) {
+      removed++;
+      freedBytes += entry.sizeBytes;
+      total -= entry.sizeBytes;
+    }
+  }
+  if (total > highWater) {
+    console.warn(`[SWEEP] temp/ is ${(total / 1024 / 1024).toFixed(2)} MB, above the ${HIGH_WATER_MB} MB high-water mark, but only active jobs are left`);
+  }
+  if (removed) console.log(`[SWEEP] Removed ${removed} job directories, freed ${(freedBytes / 1024 / 1024).toFixed(2)} MB`);
+  return { removed, freedBytes };
+};
+
+/**
+ * Remove finished jobs past their TTL, then finished jobs oldest first while temp/ is
+ * above the high-water mark. Concurrent calls share one sweep.
+ * @returns {Promise<{ removed: number, freedBytes: number }>}
+ */
+const sweepTempDir = () => {
+  if (!sweeping) sweeping = sweep().finally(() => { sweeping = null; });
+  return sweeping;
+};
+
+/**
+ * Create temp/, sweep it now and then every SWEEP_INTERVAL_SEC
+ */
+const startTempSweeper = async () => {
+  await fs.ensureDir(TEMP_DIR);
+  console.log(`[STARTUP] Temp directory: ${TEMP_DIR} (job TTL ${JOB_TTL_MIN} min, high-water mark ${HIGH_WATER_MB} MB, sweep every ${SWEEP_INTERVAL_SEC}s)`);
+  await sweepTempDir();
+  setInterval(() => {
+    sweepTempDir().catch((err) => console.error(`[SWEEP ERROR] ${err.message}`));
+  }, SWEEP_INTERVAL_SEC * 1000).unref();
+};
+
+module.exports = {
+  TEMP_DIR,
+  JOB_ID_RE,
+  JOB_TTL_MIN,
+  HIGH_WATER_MB,
+  createJobDir,
+  releaseJobDir,
+  listJobDirs,
+  getTempDirSize,
+  sweepTempDir,
+  startTempSweeper,
+};
@@ -0,0 +1,258 @@
+const { readFontMetrics, measureText, pickFont } = require("./fontRegistry");
+
+// Scripts written without spaces between words: a line may break between any two characters
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff00-\uffef]/u;
+// Punctuation that must not start a line / end a line
+const NO_BREAK_BEFORE_RE = /^[!%),.:;?\]}¢°·’”…‼⁇⁈⁉、。〉》」』】〕〗〙〛〟ー・！），．：；？］｝～]/u;
+const NO_BREAK_AFTER_RE = /[$(\[{£¥‘“〈《「『【〔〖〘〚〝（［｛]$/u;
+// Prefer one slightly smaller line over wrapping when it keeps at least this share of the size
+const MIN_SHRINK_BEFORE_WRAP = 0.85;
+
+const graphemes = (text) => [...new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(text)].map((s) => s.segment);
+
+/**
+ * The text a layer draws: its format around the slot value, uppercased if asked
+ * @param {object} layer - Text layer
+ * @param {string} text - Slot value
+ * @returns {string}
+ */
+const getLayerText = (layer, text) =>
+  layer.format.replace("{text}", layer.uppercase ? text.toUpperCase() : text).normalize("NFC");
+
+/**
+ * Split text into the pieces a line can break between: after spaces and hyphens,
+ * and between CJK characters (not before closing or after opening punctuation)
+ * @param {string} text
+ * @param {{ anywhere?: boolean }} [opts] - anywhere: also between any two characters (words too long for a line)
+ * @returns {Array<{ text: string, space: boolean }>} - space: whitespace follows the piece
+ */
+const splitBreakable = (text, { anywhere = false } = {}) => {
+  const pieces = [];
+  let prev = "";
+  for (const g of graphemes(text.replace(/\s+/g, " ").trim())) {
+    const last = pieces[pieces.length - 1];
+    if (g === " ") {
+      if (last) last.space = true;
+    } else if (!last || last.space ||
+      (!NO_BREAK_BEFORE_RE.test(g) && !NO_BREAK_AFTER_RE.test(prev) &&
+        (anywhere || CJK_RE.test(g) || CJK_RE.test(prev) || (prev === "-" && last.text.length > 1)))) {
+      pieces.push({ text: g, space: false });
+    } else {
+      last.text += g;
+    }
+    prev = g;
+  }
+  return pieces;
+};
+
+// Join pieces [from, to) into a line
+const joinPieces = (pieces, from, to) =>
+  pieces.slice(from, to).map((p, i) => p.text + (p.space && from + i < to - 1 ? " " : "")).join("");
+
+/**
+ * Best split of the pieces into exactly n lines: the one whose widest line is narrowest
+ * @returns {{ breaks: number[], width: number }|null} - breaks: start index of each line; width in em
+ */
+const balanceLines = (pieces, n, fontFile) => {
+  if (n > pieces.length) return null;
+  const spaceWidth = measureText(fontFile, " ");
+  const prefix = [0];
+  pieces.forEach((p, i) => { prefix.push(prefix[i] + measureText(fontFile, p.text) + (p.space ? spaceWidth : 0)); });
+  const lineWidth = (from, to) => prefix[to] - prefix[from] - (pieces[to - 1].space ? spaceWidth : 0);
+
+  // best[k][j]: narrowest widest line when the first j pieces fill k lines
+  const best = [[0]];
+  const from = [[0]];
+  for (let k = 1; k <= n; k++) {
+    best[k] = [];
+    from[k] = [];
+    for (let j = k; j <= pieces.length - (n - k); j++) {
+      for (let i = k - 1; i < j; i++) {
+        if (best[k - 1][i] === undefined) continue;
+        const width = Math.max(best[k - 1][i], lineWidth(i, j));
+        if (best[k][j] === undefined || width < best[k][j]) {
+          best[k][j] = width;
+          from[k][j] = i;
+        }
+      }
+    }
+  }
+  const breaks = [];
+  for (let k = n, j = pieces.length; k >= 1; k--) {
+    j = from[k][j];
+    breaks.unshift(j);
+  }
+  return { breaks, width: best[n][pieces.length] };
+};
+
+/**
+ * Fill each line with as many pieces as fit before starting the next (linear, unlike balanceLines)
+ * @returns {{ breaks: number[], width: number }} - breaks: start index of each line; width in em
+ */
+const packLines = (pieces, maxWidthEm, fontFile) => {
+  const spaceWidth = measureText(fontFile, " ");
+  const breaks = [0];
+  let width = 0;
+  let line = 0;
+  pieces.forEach((p, i) => {
+    const w = measureText(fontFile, p.text);
+    const gap = i > 0 && pieces[i - 1].space ? spaceWidth : 0;
+    if (i > breaks[breaks.length - 1] && line + gap + w > maxWidthEm) {
+      breaks.push(i);
+      width = Math.max(width, line);
+      line = w;
+    } else {
+      line += gap + w;
+    }
+  });
+  return { breaks, width: Math.max(width, line) };
+};
+
+/**
+ * Fit text into a box: keep the font size on one line if it fits, otherwise shrink it
+ * (down to minFontSize) and/or wrap onto up to maxLines balanced lines, whichever keeps it largest.
+ * Words too long for a line are broken between characters. When nothing fits, the text is packed
+ * line by line at minFontSize, on as many lines as it needs, and marked as overflowing.
+ * @param {object} params
+ * @param {string} params.text
+ * @param {string} params.fontFile
+ * @param {number} params.fontSize - Pixels
+ * @param {number} params.minFontSize - Pixels
+ * @param {number} params.maxWidth - Pixels
+ * @param {number} params.maxLines
+ * @param {number} params.lineSpacing - Line pitch as a multiple of the font size
+ * @param {number} [params.boxPadding] - Pixels around each line's box (drawtext box), kept from overlapping the next line
+ * @returns {{ fontSize: number, lines: Array<{ text: string, width: number }>, lineHeight: number,
+ *   ascent: number, descent: number, width: number, height: number, overflow: boolean }} - Pixels
+ */
+const fitText = ({ text, fontFile, fontSize, minFontSize, maxWidth, maxLines, lineSpacing, boxPadding = 0 }) => {
+  const choose = (pieces, lineCounts) => {
+    let chosen = null;
+    for (const n of lineCounts) {
+      const split = balanceLines(pieces, n, fontFile);
+      if (!split) break;
+      const size = Math.min(fontSize, Math.floor(maxWidth / Math.max(split.width, 1e-6)));
+      if (size >= fontSize * MIN_SHRINK_BEFORE_WRAP) return { ...split, size };
+      if (!chosen || size > chosen.size) chosen = { ...split, size };
+    }
+    return chosen;
+  };
+  const counts = Array.from({ length: maxLines }, (_, i) => i + 1);
+
+  const words = splitBreakable(text);
+  const chars = splitBreakable(text, { anywhere: true });
+  let pieces = words;
+  let chosen = choose(words, counts);
+  if (!chosen || chosen.size < minFontSize) {
+    const split = choose(chars, counts);
+    if (split && split.size >= minFontSize) {
+      pieces = chars;
+      chosen = split;
+    }
+  }
+  let overflow = false;
+  if (!chosen || chosen.size < minFontSize) {
+    // Too long for the box: balancing more lines costs too much on long unbroken text, so pack them
+    overflow = true;
+    const maxWidthEm = maxWidth / minFontSize;
+    pieces = words.every((p) => measureText(fontFile, p.text) <= maxWidthEm) ? words : chars;
+    chosen = { ...packLines(pieces, maxWidthEm, fontFile), size: minFontSize };
+  }
+
+  const size = chosen.size;
+  const { ascender, descender } = readFontMetrics(fontFile);
+  const lines = chosen.breaks.map((start, i) => {
+    const line = joinPieces(pieces, start, chosen.breaks[i + 1] ?? pieces.length);
+    return { text: line, width: Math.round(measureText(fontFile, line) * size) };
+  });
+  const ascent = Math.round(size * ascender);
+  const descent = Math.round(size * descender);
+  const lineHeight = Math.max(Math.round(size * lineSpacing), boxPadding > 0 ? ascent + descent + 2 * boxPadding : 0);
+  return {
+    fontSize: size,
+    lines,
+    lineHeight,
+    ascent,
+    descent,
+    width: Math.max(...lines.map((l) => l.width)),
+    height: (lines.length - 1) * lineHeight + ascent + descent,
+    overflow,
+  };
+};
+
+/**
+ * Font and fitted lines for a text layer at an output size
+ * @param {object} layer - Text layer (normalizeTemplate())
+ * @param {string} text - Slot value
+ * @param {{ width: number, height: number, scale: number }} size - Output size; scale: template px → output px
+ * @returns {object} - fitText() result plus fontFile, font (family used) and fontFallback
+ * @throws {Error} - No installed font has every glyph (checkThumbnailTexts() reports this before rendering)
+ */
+const layoutTextLayer = (layer, text, { width, scale }) => {
+  const content = getLayerText(layer, text);
+  const { font, fallback, missing } = pickFont(layer.font, content);
+  if (!font) throw new Error(`No installed font can draw '${layer.slot}' (missing: ${missing.join(" ")})`);
+  const pad = Math.round(layer.padding * scale);
+  const fontSize = Math.round(layer.fontSize * scale);
+  const layout = fitText({
+    text: content,
+    fontFile: font.file,
+    fontSize,
+    minFontSize: Math.min(fontSize, Math.round((layer.minFontSize ?? layer.fontSize / 2) * scale)),
+    maxWidth: Math.min((width * layer.maxWidthPct) / 100, width - 2 * pad),
+    maxLines: layer.maxLines,
+    lineSpacing: layer.lineSpacing,
+    boxPadding: layer.box ? Math.round((layer.box.padding ?? 12) * scale) : 0,
+  });
+  return { ...layout, fontFile: font.file, font: font.family, fontFallback: fallback };
+};
+
+/**
+ * Lay out every text layer of a template that has a value
+ * @returns {object} - Template whose drawn text layers carry a `layout`
+ */
+const layoutTemplate = (template, texts, size) => ({
+  ...template,
+  layers: template.layers.map((layer) => {
+    const text = texts[layer.slot];
+    if (layer.type !== "text" || text === undefined || text === null || text === "") return layer;
+    return { ...layer, layout: layoutTextLayer(layer, String(text), size) };
+  }),
+});
+
+/**
+ * Where a laid-out text block sits. The first line keeps the position a single line would
+ * have; extra lines grow the block up, down or both ways ("grow", default from the anchor).
+ * @param {object} layer - Text layer with a layout
+ * @param {{ width: number, height: number, scale: number }} size
+ * @returns {{ x: number, top: number, baselines: number[] }} - x: left edge of the widest line
+ */
+const placeTextBlock = (layer, { width, height, scale }) => {
+  const { layout } = layer;
+  const pad = Math.round(layer.padding * scale);
+  const dx = Math.round(layer.offsetX * scale);
+  const dy = Math.round(layer.offsetY * scale);
+  const lineBox = layout.ascent + layout.descent;
+  const single = layer.anchor === "top" ? pad + dy
+    : layer.anchor === "bottom" ? height - lineBox - pad + dy
+      : (height - lineBox) / 2 + dy;
+  const grow = layer.grow ?? (layer.anchor === "top" ? "down" : layer.anchor === "bottom" ? "up" : "both");
+  const top = Math.round(single - (layout.height - lineBox) * (grow === "up" ? 1 : grow === "both" ? 0.5 : 0));
+  const x = layer.align === "left" ? pad + dx
+    : layer.align === "right" ? width - layout.width - pad + dx
+      : (width - layout.width) / 2 + dx;
+  return {
+    x: Math.round(x),
+    top,
+    baselines: layout.lines.map((_, i) => top + layout.ascent + i * layout.lineHeight),
+  };
+};
+
+module.exports = {
+  getLayerText,
+  splitBreakable,
+  fitText,
+  layoutTextLayer,
+  layoutTemplate,
+  placeTextBlock,
+};
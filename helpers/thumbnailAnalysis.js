@@ -0,0 +1,243 @@
+// Reads the framed background behind each text layer and adjusts the layer so it stays
+// readable: text color, shadow strength, a plate behind the text, and placement
+// outside the corner where YouTube draws the video duration.
+const { placeTextBlock } = require("./textLayout");
+
+// Analysis runs on a quarter-size grayscale copy of the thumbnail
+const ANALYSIS_SCALE = 4;
+// Bottom-right area covered by the duration badge, as a share of the thumbnail
+const DURATION_BADGE = { widthPct: 20, heightPct: 15 };
+// WCAG AA contrast for large text is 3; normal text 4.5. Thumbnails are viewed small.
+const MIN_CONTRAST = 4.5;
+// Below this the text gets an outline and shadow even after picking the better color
+const COMFORTABLE_CONTRAST = 7;
+// Mean neighbour difference (0-1) above which a background counts as busy / very busy
+const BUSY = 0.06;
+const VERY_BUSY = 0.12;
+// Luminance standard deviation above which no single text color reads everywhere (e.g. light and dark stripes)
+const UNEVEN = 0.2;
+const LIGHT_TEXT = "white";
+const DARK_TEXT = "#101010";
+
+const NAMED_COLORS = {
+  white: [255, 255, 255], black: [0, 0, 0], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+  yellow: [255, 255, 0], orange: [255, 165, 0], gray: [128, 128, 128], grey: [128, 128, 128],
+  cyan: [0, 255, 255], magenta: [255, 0, 255], purple: [128, 0, 128], pink: [255, 192, 203],
+};
+
+// Template sizes are tuned for a 1080px short edge
+const getScale = (width, height) => Math.min(width, height) / 1080;
+
+const toLinear = (c) => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+/**
+ * Relative luminance (0-1) of a template color, or null for color names we don't know
+ * @param {string} color - "#rrggbb", "0xrrggbb" or a color name
+ * @returns {number|null}
+ */
+const colorLuminance = (color) => {
+  const hex = color.replace(/^(#|0x)/i, "");
+  const rgb = /^[0-9a-f]{6}$/i.test(hex)
+    ? [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16))
+    : NAMED_COLORS[color.toLowerCase()];
+  if (!rgb) return null;
+  const [r, g, b] = rgb.map(toLinear);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const contrastRatio = (a, b) => (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+
+/**
+ * Box drawn by a laid-out text layer (all its lines)
+ * @returns {{ x: number, y: number, width: number, height: number }} - Output pixels
+ */
+const estimateTextRect = (layer, { width, height }) => {
+  const { x, top } = placeTextBlock(layer, { width, height, scale: getScale(width, height) });
+  return { x, y: top, width: Math.min(width, layer.layout.width), height: layer.layout.height };
+};
+
+/**
+ * Mean luminance and busyness of a region of the analysis frame
+ * @param {{ pixels: Buffer, width: number, height: number }} frame - 8-bit gray, ANALYSIS_SCALE smaller than the output
+ * @param {{ x: number, y: number, width: number, height: number }} rect - Output pixels
+ * @returns {{ luminance: number, spread: number, busyness: number }} - luminance is relative (linear) with its
+ *   standard deviation as spread, busyness the mean neighbour difference, all 0-1
+ */
+const regionStats = (frame, rect) => {
+  const clamp = (v, max) => Math.max(0, Math.min(max, v));
+  const x0 = clamp(Math.floor(rect.x / ANALYSIS_SCALE), frame.width - 1);
+  const y0 = clamp(Math.floor(rect.y / ANALYSIS_SCALE), frame.height - 1);
+  const x1 = clamp(Math.ceil((rect.x + rect.width) / ANALYSIS_SCALE), frame.width);
+  const y1 = clamp(Math.ceil((rect.y + rect.height) / ANALYSIS_SCALE), frame.height);
+  let lum = 0;
+  let lumSquared = 0;
+  let diff = 0;
+  let count = 0;
+  let diffCount = 0;
+  for (let y = y0; y < Math.max(y1, y0 + 1); y++) {
+    for (let x = x0; x < Math.max(x1, x0 + 1); x++) {
+      const v = frame.pixels[y * frame.width + x];
+      lum += toLinear(v);
+      lumSquared += toLinear(v) ** 2;
+      count++;
+      if (x + 1 < x1) { diff += Math.abs(frame.pixels[y * frame.width + x + 1] - v); diffCount++; }
+      if (y + 1 < y1) { diff += Math.abs(frame.pixels[(y + 1) * frame.width + x] - v); diffCount++; }
+    }
+  }
+  const mean = lum / count;
+  return {
+    luminance: mean,
+    spread: Math.sqrt(Math.max(0, lumSquared / count - mean * mean)),
+    busyness: diffCount ? diff / diffCount / 255 : 0,
+  };
+};
+
+/**
+ * The duration badge area in output pixels
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+const getBadgeRect = (width, height) => {
+  const w = Math.round((width * DURATION_BADGE.widthPct) / 100);
+  const h = Math.round((height * DURATION_BADGE.heightPct) / 100);
+  return { x: width - w, y: height - h, width: w, height: h };
+};
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+/**
+ * Move a text layer out of the duration badge: up above it, or left of it when
+ * moving up would push the text off the top
+ * @returns {{ layer: object, moved: string|null }}
+ */
+const avoidBadge = (layer, rect, { width, height }) => {
+  const badge = getBadgeRect(width, height);
+  if (!overlaps(rect, badge)) return { layer, moved: null };
+  const s = getScale(width, height);
+  const margin = Math.round(16 * s);
+  const up = rect.y + rect.height - badge.y + margin;
+  if (rect.y - up >= margin) {
+    return { layer: { ...layer, offsetY: layer.offsetY - Math.ceil(up / s) }, moved: "up" };
+  }
+  const left = rect.x + rect.width - badge.x + margin;
+  return { layer: { ...layer, offsetX: layer.offsetX - Math.ceil(left / s) }, moved: "left" };
+};
+
+/**
+ * Pick color, shadow and plate for a text layer from the background behind it
+ * - contrast below MIN_CONTRAST: switch to white or near-black, whichever reads better
+ * - busy or uneven background, or contrast below COMFORTABLE_CONTRAST: outline and drop shadow in the opposite tone
+ * - very busy background: a translucent plate (drawtext box) behind the text
+ * A layer's own box counts as part of the background, blended by its opacity.
+ * @returns {{ layer: object, report: object }}
+ */
+const chooseContrast = (layer, stats) => {
+  const box = layer.box ? colorLuminance(layer.box.color ?? "black") : null;
+  const boxOpacity = box === null ? 0 : layer.box.opacity ?? 1;
+  const background = boxOpacity * (box ?? 0) + (1 - boxOpacity) * stats.luminance;
+  const busyness = stats.busyness * (1 - boxOpacity);
+  const spread = stats.spread * (1 - boxOpacity);
+  const textLum = colorLuminance(layer.color);
+  const actions = [];
+  let adjusted = { ...layer };
+
+  const before = textLum === null ? null : contrastRatio(textLum, background);
+  let after = before;
+  if (before !== null && before < MIN_CONTRAST) {
+    const light = contrastRatio(1, background);
+    const dark = contrastRatio(colorLuminance(DARK_TEXT), background);
+    const best = light >= dark ? LIGHT_TEXT : DARK_TEXT;
+    if (Math.max(light, dark) > before) {
+      adjusted.color = best;
+      after = Math.max(light, dark);
+      actions.push("color");
+    }
+  }
+
+  // Outline, shadow and plate take the tone opposite to the text
+  const lightText = (colorLuminance(adjusted.color) ?? 1) > 0.18;
+  const outline = lightText ? "black" : "white";
+  if (actions.includes("color")) {
+    if (adjusted.border) adjusted.border = { ...adjusted.border, color: outline };
+    if (adjusted.shadow) adjusted.shadow = { ...adjusted.shadow, color: outline };
+  }
+  if (busyness >= BUSY || spread >= UNEVEN || (after !== null && after < COMFORTABLE_CONTRAST)) {
+    const strength = Math.min(1, Math.max(busyness / VERY_BUSY, spread / (2 * UNEVEN)));
+    adjusted.border = { width: Math.max(adjusted.border?.width ?? 0, 2 + Math.round(strength * 2)), color: outline, opacity: 1 };
+    adjusted.shadow = { x: 3, y: 3, color: outline, opacity: Number((0.5 + 0.4 * strength).toFixed(2)) };
+    actions.push("shadow");
+  }
+  if (busyness >= VERY_BUSY && !layer.box) {
+    adjusted.box = { color: outline, opacity: 0.75, padding: Math.round(layer.fontSize * 0.2) };
+    actions.push("scrim");
+  }
+
+  return {
+    layer: adjusted,
+    report: {
+      luminance: Number(stats.luminance.toFixed(3)),
+      spread: Number(stats.spread.toFixed(3)),
+      busyness: Number(stats.busyness.toFixed(3)),
+      contrastBefore: before === null ? null : Number(before.toFixed(2)),
+      contrastAfter: after === null ? null : Number(after.toFixed(2)),
+      color: adjusted.color,
+      actions,
+    },
+  };
+};
+
+/**
+ * Adjust a template's text layers for one background
+ * @param {object} params
+ * @param {object} params.template - Resolved template with text layouts (layoutTemplate())
+ * @param {object} params.texts - Slot values
+ * @param {{ pixels: Buffer, width: number, height: number }|null} params.frame - Analysis frame (null: placement only)
+ * @param {number} params.width - Thumbnail width
+ * @param {number} params.height - Thumbnail height
+ * @param {boolean} params.autoContrast
+ * @param {boolean} params.safeArea
+ * @returns {{ template: object, report: Array<object> }} - One report entry per drawn text layer, with
+ *   the fitted fontSize and lines and the font used
+ */
+const adjustTemplate = ({ template, texts, frame, width, height, autoContrast, safeArea }) => {
+  const report = [];
+  const layers = template.layers.map((layer) => {
+    const text = texts[layer.slot];
+    if (layer.type !== "text" || text === undefined || text === null || text === "" || !layer.layout) return layer;
+    let adjusted = layer;
+    const { layout } = layer;
+    const entry = {
+      slot: layer.slot,
+      fontSize: layout.fontSize,
+      lines: layout.lines.map((l) => l.text),
+      font: layout.font,
+      ...(layout.fontFallback ? { fontFallback: true } : {}),
+      ...(layout.overflow ? { overflow: true } : {}),
+    };
+    if (safeArea) {
+      const { layer: placed, moved } = avoidBadge(adjusted, estimateTextRect(adjusted, { width, height }), { width, height });
+      adjusted = placed;
+      if (moved) entry.movedOutOfBadge = moved;
+    }
+    const rect = estimateTextRect(adjusted, { width, height });
+    entry.region = rect;
+    if (autoContrast && frame) {
+      const { layer: contrasted, report: contrast } = chooseContrast(adjusted, regionStats(frame, rect));
+      adjusted = contrasted;
+      Object.assign(entry, contrast);
+    }
+    report.push(entry);
+    return adjusted;
+  });
+  return { template: { ...template, layers }, report };
+};
+
+module.exports = {
+  ANALYSIS_SCALE,
+  DURATION_BADGE,
+  getScale,
+  getBadgeRect,
+  adjustTemplate,
+};
@@ -0,0 +1,300 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { FFMPEG_PATH, runCommand, writeFilterScript } = require("./ffmpegUtils");
+const { buildFrameFilter } = require("./outputProfiles");
+const { escapeFilterValue, escapeDrawtext } = require("./drawtext");
+const { layoutTemplate, placeTextBlock } = require("./textLayout");
+const { toFfmpegColor } = require("./thumbnailTemplates");
+const { ANALYSIS_SCALE, getScale, adjustTemplate } = require("./thumbnailAnalysis");
+
+// Filter graphs go through a script file, so only FFmpeg's own escaping applies
+const SCRIPT = { shell: false };
+
+// "+12" / "-12" / "" for appending a pixel offset to an expression
+const shift = (n) => (n > 0 ? `+${n}` : n < 0 ? `${n}` : "");
+const withOpacity = (color, opacity) => `${toFfmpegColor(color)}@${opacity ?? 1}`;
+
+/**
+ * Graph lines for the scrim, drawn over [inLabel] → [outLabel]
+ * @returns {string[]}
+ */
+const buildScrim = (scrim, { width, height, inLabel, outLabel }) => {
+  const vertical = scrim.position === "top" || scrim.position === "bottom";
+  const size = scrim.position === "full" ? (vertical ? height : width)
+    : Math.round(((vertical ? height : width) * scrim.sizePct) / 100);
+  if (scrim.type === "box") {
+    const box = {
+      top: [0, 0, width, size],
+      bottom: [0, height - size, width, size],
+      left: [0, 0, size, height],
+      right: [width - size, 0, size, height],
+      full: [0, 0, width, height],
+    }[scrim.position];
+    return [
+      `[${inLabel}]drawbox=x=${box[0]}:y=${box[1]}:w=${box[2]}:h=${box[3]}:` +
+      `color=${withOpacity(scrim.color, scrim.opacity)}:t=fill[${outLabel}]`,
+    ];
+  }
+  // Gradient: a solid color whose alpha ramps from 0 to opacity towards the chosen edge
+  const ramp = {
+    top: `(${size}-Y)/${size}`,
+    bottom: `(Y-${height - size})/${size}`,
+    left: `(${size}-X)/${size}`,
+    right: `(X-${width - size})/${size}`,
+    full: "1",
+  }[scrim.position];
+  const alpha = escapeFilterValue(`${Math.round(255 * scrim.opacity)}*clip(${ramp},0,1)`, SCRIPT);
+  const keep = (c) => escapeFilterValue(`${c}(X,Y)`, SCRIPT);
+  return [
+    `color=c=${toFfmpegColor(scrim.color)}:s=${width}x${height},format=rgba,` +
+    `geq=r=${keep("r")}:g=${keep("g")}:b=${keep("b")}:a=${alpha}[scrim]`,
+    `[${inLabel}][scrim]overlay=shortest=1[${outLabel}]`,
+  ];
+};
+
+/**
+ * drawtext filters for a laid-out text layer, one per line. Lines share baselines computed
+ * from the font metrics (y = baseline - ascent); x uses drawtext's own text_w per line.
+ * RTL lines are reordered and shaped by drawtext (text_shaping, on by default).
+ * @returns {string} - Comma-separated filter chain
+ */
+const buildTextFilter = (layer, { px, size }) => {
+  const { layout } = layer;
+  const pad = px(layer.padding);
+  const dx = px(layer.offsetX);
+  const x = layer.align === "left" ? `${pad}${shift(dx)}`
+    : layer.align === "right" ? `w-text_w-${pad}${shift(dx)}`
+      : `(w-text_w)/2${shift(dx)}`;
+  const { baselines } = placeTextBlock(layer, size);
+
+  const style = [`fontcolor=${toFfmpegColor(layer.color)}`];
+  if (layer.border) {
+    style.push(`borderw=${Math.max(1, px(layer.border.width ?? 2))}`, `bordercolor=${withOpacity(layer.border.color ?? "black", layer.border.opacity)}`);
+  }
+  if (layer.shadow) {
+    style.push(
+      `shadowx=${px(layer.shadow.x ?? 2)}`, `shadowy=${px(layer.shadow.y ?? 2)}`,
+      `shadowcolor=${withOpacity(layer.shadow.color ?? "black", layer.shadow.opacity)}`
+    );
+  }
+  if (layer.box) {
+    style.push("box=1", `boxcolor=${withOpacity(layer.box.color ?? "black", layer.box.opacity)}`, `boxborderw=${px(layer.box.padding ?? 12)}`);
+  }
+  return layout.lines.map((line, i) => `drawtext=${[
+    `fontfile=${escapeFilterValue(layout.fontFile, SCRIPT)}`,
+    `text=${escapeDrawtext(line.text, SCRIPT)}`,
+    `fontsize=${layout.fontSize}`,
+    `x=${x}`,
+    `y=${baselines[i]}-ascent`,
+    ...style,
+  ].join(":")}`).join(",");
+};
+
+/**
+ * Filter graph for a template: background fitted to the frame, scrim, then the
+ * layers in template order. Text layers without a value and image layers without
+ * an input are skipped.
+ * @param {object} params
+ * @param {object} params.template - Resolved template with text layouts (layoutTemplate())
+ * @param {object} params.texts - Slot values, e.g. { vibe, subtitle, episode }
+ * @param {object} params.imageInputs - Input index per image slot, e.g. { logo: 1 }
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {string} params.crop - Crop strategy of the output profile
+ * @param {{ x: number, y: number }|null} [params.focalPoint] - Point of the background kept in view
+ * @returns {{ graph: string[], outLabel: string, slots: string[] }} - slots: layers actually drawn
+ */
+const buildThumbnailGraph = ({ template, texts, imageInputs, width, height, crop, focalPoint = null }) => {
+  const size = { width, height, scale: getScale(width, height) };
+  const px = (n) => Math.round(n * size.scale);
+  const graph = [`[0:v]${buildFrameFilter(crop, width, height, "", focalPoint)}[t0]`];
+  const slots = [];
+  let n = 0;
+  const next = () => `t${++n}`;
+
+  if (template.scrim) {
+    const inLabel = `t${n}`;
+    graph.push(...buildScrim(template.scrim, { width, height, inLabel, outLabel: next() }));
+  }
+  template.layers.forEach((layer, i) => {
+    if (layer.type === "image") {
+      if (imageInputs[layer.slot] === undefined) return;
+      const pad = px(layer.padding);
+      const x = layer.align === "left" ? `${pad}` : layer.align === "right" ? `W-w-${pad}` : "(W-w)/2";
+      const y = layer.anchor === "top" ? `${pad}` : layer.anchor === "bottom" ? `H-h-${pad}` : "(H-h)/2";
+      const inLabel = `t${n}`;
+      graph.push(
+        `[${imageInputs[layer.slot]}:v]scale=${Math.round((width * layer.widthPct) / 100)}:-1,format=rgba,` +
+        `colorchannelmixer=aa=${layer.opacity}[img${i}]`,
+        `[${inLabel}][img${i}]overlay=x=${x}:y=${y}[${next()}]`
+      );
+    } else {
+      const text = texts[layer.slot];
+      if (text === undefined || text === null || text === "" || !layer.layout) return;
+      const inLabel = `t${n}`;
+      graph.push(`[${inLabel}]${buildTextFilter(layer, { px, size })}[${next()}]`);
+    }
+    slots.push(layer.slot);
+  });
+  return { graph, outLabel: `t${n}`, slots };
+};
+
+/**
+ * Read the framed background and scrim (no text or images) as a small 8-bit gray frame
+ * @returns {Promise<{ pixels: Buffer, width: number, height: number }>}
+ */
+const grabAnalysisFrame = async ({ backgroundPath, template, width, height, crop, focalPoint, outPath }) => {
+  const { graph, outLabel } = buildThumbnailGraph({
+    template, texts: {}, imageInputs: {}, width, height, crop, focalPoint,
+  });
+  const frameWidth = Math.round(width / ANALYSIS_SCALE);
+  const frameHeight = Math.round(height / ANALYSIS_SCALE);
+  const base = path.join(path.dirname(outPath), `${path.parse(outPath).name}_analysis`);
+  graph.push(`[${outLabel}]scale=${frameWidth}:${frameHeight},format=gray[analysis]`);
+  await writeFilterScript(`${base}_graph.txt`, graph);
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${backgroundPath}" ` +
+    `-filter_complex_script "${base}_graph.txt" -map "[analysis]" -frames:v 1 -f rawvideo "${base}.gray"`,
+    60 * 1000
+  );
+  const pixels = await fs.readFile(`${base}.gray`);
+  await fs.remove(`${base}_graph.txt`);
+  await fs.remove(`${base}.gray`);
+  if (pixels.length < frameWidth * frameHeight) throw new Error("Analysis frame is incomplete");
+  return { pixels, width: frameWidth, height: frameHeight };
+};
+
+/**
+ * Render a thumbnail JPEG from a template. Falls back to leaving out the logo/watermark when
+ * the images can't be decoded; the text is always drawn with its template font (checked at validation).
+ * @param {object} params
+ * @param {string} params.backgroundPath - Background image
+ * @param {object} params.template - Resolved template (parseThumbnailOptions())
+ * @param {object} params.texts - Slot values, e.g. { vibe, subtitle, episode }
+ * @param {object} [params.imagePaths] - Downloaded image per slot, e.g. { logo: "/tmp/logo.png" }
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {string} params.crop - Crop strategy of the output profile
+ * @param {{ x: number, y: number }|null} [params.focalPoint] - Point of the background kept in view
+ * @param {boolean} [params.autoContrast] - Adapt text color/shadow/plate to the background behind it
+ * @param {boolean} [params.safeArea] - Keep text out of the duration badge corner
+ * @param {string} params.outPath - JPEG to write
+ * @returns {Promise<{ template: string, slots: string[], fallback: string|null, adjustments: Array<object>|null,
+ *   overflow: string[]|null }>} - overflow: slots whose text doesn't fit even at minFontSize
+ */
+const renderThumbnail = async ({
+  backgroundPath, template: requested, texts, imagePaths = {}, width, height, crop, focalPoint = null,
+  autoContrast = false, safeArea = false, outPath,
+}) => {
+  let template = layoutTemplate(requested, texts, { width, height, scale: getScale(width, height) });
+  let adjustments = null;
+  const overflow = template.layers.filter((l) => l.layout && l.layout.overflow).map((l) => l.slot);
+  if (autoContrast || safeArea) {
+    let frame = null;
+    if (autoContrast) {
+      try {
+        frame = await grabAnalysisFrame({ backgroundPath, template, width, height, crop, focalPoint, outPath });
+      } catch (err) {
+        console.warn(`[Thumbnail Warning] Background analysis failed (${err.message}), keeping template colors`);
+      }
+    }
+    ({ template, report: adjustments } = adjustTemplate({ template, texts, frame, width, height, autoContrast, safeArea }));
+  }
+
+  const imageSlots = Object.keys(imagePaths);
+  const imageInputs = Object.fromEntries(imageSlots.map((slot, i) => [slot, i + 1]));
+  const inputs = [backgroundPath, ...imageSlots.map((slot) => imagePaths[slot])].map((p) => `-i "${p}"`).join(" ");
+  const scriptPath = path.join(path.dirname(outPath), `${path.parse(outPath).name}_graph.txt`);
+
+  const attempts = [
+    { withImages: true, fallback: null },
+    ...(imageSlots.length > 0 ? [{ withImages: false, fallback: "no-images" }] : []),
+  ];
+  let lastError = null;
+  for (const attempt of attempts) {
+    const { graph, outLabel, slots } = buildThumbnailGraph({
+      template, texts, imageInputs: attempt.withImages ? imageInputs : {}, width, height, crop, focalPoint,
+    });
+    try {
+      await writeFilterScript(scriptPath, graph);
+      await runCommand(
+        `"${FFMPEG_PATH}" -y -hide_banner -loglevel error ${attempt.withImages ? inputs : `-i "${backgroundPath}"`} ` +
+        `-filter_complex_script "${scriptPath}" -map "[${outLabel}]" -frames:v 1 -q:v 2 "${outPath}"`,
+        60 * 1000
+      );
+      await fs.remove(scriptPath);
+      if (attempt.fallback) console.warn(`[Thumbnail Warning] Rendered with fallback: ${attempt.fallback}`);
+      return { template: template.name, slots, fallback: attempt.fallback, adjustments, overflow: overflow.length ? overflow : null };
+    } catch (err) {
+      console.warn(`[Thumbnail Warning] Template '${template.name}' failed (${attempt.fallback || "full"}): ${err.message}`);
+      lastError = err;
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Download every distinct logo/watermark URL used by the main thumbnail and its variants once
+ * @param {Array<object>} thumbnails - Results of parseThumbnailOptions()
+ * @param {string} dir - Where to save the images
+ * @param {function(string, string): Promise} download - (url, filePath) => Promise
+ * @returns {Promise<Object<string, string>>} - Local path by URL
+ */
+const downloadThumbnailImages = async (thumbnails, dir, download) => {
+  const urls = [...new Set(thumbnails.flatMap((t) => Object.values(t.images)))];
+  const pathsByUrl = {};
+  for (let i = 0; i < urls.length; i++) {
+    const ext = (urls[i].split("?")[0].match(/\.(png|jpg|jpeg|webp)$/i)?.[1] || "png").toLowerCase();
+    pathsByUrl[urls[i]] = path.join(dir, `thumbnail_image_${i}.${ext}`);
+    await download(urls[i], pathsByUrl[urls[i]]);
+  }
+  return pathsByUrl;
+};
+
+// { logo: url } → { logo: localPath }
+const getImagePaths = (images, pathsByUrl) =>
+  Object.fromEntries(Object.entries(images).map(([slot, url]) => [slot, pathsByUrl[url]]));
+
+/**
+ * Render each thumbnail variant from the already downloaded background
+ * @param {object} params
+ * @param {Array<object>} params.variants - Result of parseThumbnailVariants()
+ * @param {string} params.backgroundPath
+ * @param {object} params.texts - Slot values shared by all variants, e.g. { vibe, subtitle }
+ * @param {Object<string, string>} params.imagePathsByUrl - Result of downloadThumbnailImages()
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {string} params.crop - Crop strategy of the output profile (a variant's 'crop' wins)
+ * @param {string} params.outDir - Variants are written as thumbnail_<id>.jpg
+ * @returns {Promise<Array<{ id: string, path: string, template: string, slots: string[], fallback: string|null, adjustments: Array<object>|null, crop: string, focalPoint: object|null }>>}
+ */
+const renderThumbnailVariants = async ({ variants, backgroundPath, texts, imagePathsByUrl, width, height, crop, outDir }) => {
+  const rendered = [];
+  for (const variant of variants) {
+    const outPath = path.join(outDir, `thumbnail_${variant.id}.jpg`);
+    const variantCrop = variant.crop || crop;
+    const report = await renderThumbnail({
+      backgroundPath,
+      template: variant.thumbnail.template,
+      texts: { ...texts, ...variant.thumbnail.texts },
+      imagePaths: getImagePaths(variant.thumbnail.images, imagePathsByUrl),
+      width,
+      height,
+      crop: variantCrop,
+      focalPoint: variant.focalPoint,
+      autoContrast: variant.thumbnail.autoContrast,
+      safeArea: variant.thumbnail.safeArea,
+      outPath,
+    });
+    rendered.push({ id: variant.id, path: outPath, ...report, crop: variantCrop, focalPoint: variant.focalPoint });
+  }
+  return rendered;
+};
+
+module.exports = {
+  buildThumbnailGraph,
+  renderThumbnail,
+  downloadThumbnailImages,
+  getImagePaths,
+  renderThumbnailVariants,
+};
@@ -0,0 +1,400 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { parseFontRef, checkFont, pickFont } = require("./fontRegistry");
+const { getLayerText } = require("./textLayout");
+const { CROP_MODES } = require("./outputProfiles");
+
+// Built-in layouts; every *.json file in this directory is a template
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates", "thumbnails");
+const DEFAULT_TEMPLATE = "classic";
+
+const ALIGNS = ["left", "center", "right"];
+const ANCHORS = ["top", "middle", "bottom"];
+const SCRIM_TYPES = ["gradient", "box"];
+const SCRIM_POSITIONS = ["top", "bottom", "left", "right", "full"];
+const IMAGE_SLOTS = ["logo", "watermark"];
+const GROW_DIRECTIONS = ["up", "down", "both"];
+const COLOR_RE = /^(#|0x)?[0-9a-f]{6}$|^[a-z]+$/i;
+const SLOT_RE = /^[a-z][a-z0-9_]{0,31}$/i;
+const MAX_TEXT_LENGTH = 200;
+const MAX_VARIANTS = 10;
+const VARIANT_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+const TEXT_DEFAULTS = {
+  font: "sans-bold", fontSize: 72, color: "white", align: "center", anchor: "middle",
+  padding: 60, offsetX: 0, offsetY: 0, uppercase: false, format: "{text}", border: null, shadow: null, box: null,
+  maxWidthPct: 90, maxLines: 2, minFontSize: null, lineSpacing: 1.15, grow: null,
+};
+const IMAGE_DEFAULTS = { widthPct: 10, align: "right", anchor: "top", padding: 48, opacity: 1 };
+
+// FFmpeg takes hex colors as 0xRRGGBB
+const toFfmpegColor = (color) => (/^[a-z]+$/i.test(color) ? color.toLowerCase() : `0x${color.replace(/^(#|0x)/i, "")}`);
+
+const isNumberIn = (v, min, max) => typeof v === "number" && v >= min && v <= max;
+const isPlainObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+
+/**
+ * Apply a request override to a template layer. Style blocks (border, shadow, box)
+ * merge key by key so { border: { color } } keeps the template's width.
+ */
+const mergeLayer = (layer, override = {}) => {
+  const merged = { ...layer, ...override };
+  for (const key of ["border", "shadow", "box"]) {
+    if (isPlainObject(layer[key]) && isPlainObject(override[key])) merged[key] = { ...layer[key], ...override[key] };
+  }
+  // type and slot stay as the template defines them
+  return { ...merged, type: layer.type, slot: layer.slot };
+};
+
+/**
+ * Check a { color, opacity, ... } style block; null/undefined turns the effect off
+ * @returns {string|null} - Error message
+ */
+const validateStyle = (style, where, numbers) => {
+  if (style === null || style === undefined) return null;
+  if (!isPlainObject(style)) return `${where} must be an object or null.`;
+  if (style.color !== undefined && (typeof style.color !== "string" || !COLOR_RE.test(style.color))) {
+    return `${where}.color must be a hex color like "#ffcc00" or a color name.`;
+  }
+  if (style.opacity !== undefined && !isNumberIn(style.opacity, 0, 1)) {
+    return `${where}.opacity must be a number between 0 and 1.`;
+  }
+  for (const [key, [min, max]] of Object.entries(numbers)) {
+    if (style[key] !== undefined && !isNumberIn(style[key], min, max)) {
+      return `${where}.${key} must be a number between ${min} and ${max}.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate one layer and fill in its defaults
+ * @param {object} layer
+ * @param {string} where - Field path for error messages
+ * @returns {{ layer?: object, error?: string }}
+ */
+const normalizeLayer = (layer, where) => {
+  if (!isPlainObject(layer)) return { error: `${where} must be an object.` };
+  if (typeof layer.slot !== "string" || !SLOT_RE.test(layer.slot)) {
+    return { error: `${where}.slot must be a name of letters, digits and underscores.` };
+  }
+  if (layer.align !== undefined && !ALIGNS.includes(layer.align)) {
+    return { error: `${where}.align must be one of: ${ALIGNS.join(", ")}.` };
+  }
+  if (layer.anchor !== undefined && !ANCHORS.includes(layer.anchor)) {
+    return { error: `${where}.anchor must be one of: ${ANCHORS.join(", ")}.` };
+  }
+  if (layer.padding !== undefined && !isNumberIn(layer.padding, 0, 1000)) {
+    return { error: `${where}.padding must be a number between 0 and 1000.` };
+  }
+
+  if (layer.type === "image") {
+    if (!IMAGE_SLOTS.includes(layer.slot)) {
+      return { error: `${where}.slot for an image layer must be one of: ${IMAGE_SLOTS.join(", ")}.` };
+    }
+    if (layer.widthPct !== undefined && !isNumberIn(layer.widthPct, 1, 100)) {
+      return { error: `${where}.widthPct must be a number between 1 and 100.` };
+    }
+    if (layer.opacity !== undefined && !isNumberIn(layer.opacity, 0.05, 1)) {
+      return { error: `${where}.opacity must be a number between 0.05 and 1.` };
+    }
+    return { layer: { ...IMAGE_DEFAULTS, ...layer } };
+  }
+
+  if (layer.type !== "text") return { error: `${where}.type must be "text" or "image".` };
+  let font = TEXT_DEFAULTS.font;
+  if (layer.font !== undefined) {
+    const parsed = parseFontRef(layer.font, `${where}.font`);
+    if (parsed.error) return { error: parsed.error };
+    font = parsed.font;
+  }
+  if (layer.fontSize !== undefined && !isNumberIn(layer.fontSize, 8, 300)) {
+    return { error: `${where}.fontSize must be a number between 8 and 300.` };
+  }
+  if (layer.color !== undefined && (typeof layer.color !== "string" || !COLOR_RE.test(layer.color))) {
+    return { error: `${where}.color must be a hex color like "#ffcc00" or a color name.` };
+  }
+  for (const key of ["offsetX", "offsetY"]) {
+    if (layer[key] !== undefined && !isNumberIn(layer[key], -2000, 2000)) {
+      return { error: `${where}.${key} must be a number between -2000 and 2000.` };
+    }
+  }
+  if (layer.uppercase !== undefined && typeof layer.uppercase !== "boolean") {
+    return { error: `${where}.uppercase must be a boolean.` };
+  }
+  if (layer.format !== undefined && (typeof layer.format !== "string" || !layer.format.includes("{text}") || layer.format.length > 60)) {
+    return { error: `${where}.format must be a string containing "{text}" (max 60 characters).` };
+  }
+  if (layer.maxWidthPct !== undefined && !isNumberIn(layer.maxWidthPct, 10, 100)) {
+    return { error: `${where}.maxWidthPct must be a number between 10 and 100.` };
+  }
+  if (layer.maxLines !== undefined && !(Number.isInteger(layer.maxLines) && isNumberIn(layer.maxLines, 1, 4))) {
+    return { error: `${where}.maxLines must be an integer between 1 and 4.` };
+  }
+  if (layer.minFontSize !== undefined && layer.minFontSize !== null && !isNumberIn(layer.minFontSize, 8, 300)) {
+    return { error: `${where}.minFontSize must be a number between 8 and 300 (null: half the fontSize).` };
+  }
+  if (layer.lineSpacing !== undefined && !isNumberIn(layer.lineSpacing, 0.8, 2)) {
+    return { error: `${where}.lineSpacing must be a number between 0.8 and 2.` };
+  }
+  if (layer.grow !== undefined && layer.grow !== null && !GROW_DIRECTIONS.includes(layer.grow)) {
+    return { error: `${where}.grow must be one of: ${GROW_DIRECTIONS.join(", ")} (null: from the anchor).` };
+  }
+  const styleError =
+    validateStyle(layer.border, `${where}.border`, { width: [0, 20] }) ||
+    validateStyle(layer.shadow, `${where}.shadow`, { x: [-50, 50], y: [-50, 50] }) ||
+    validateStyle(layer.box, `${where}.box`, { padding: [0, 200] });
+  if (styleError) return { error: styleError };
+  return { layer: { ...TEXT_DEFAULTS, ...layer, font } };
+};
+
+/**
+ * Validate a scrim (darkening layer behind the text)
+ * @returns {{ scrim?: object|null, error?: string }}
+ */
+const normalizeScrim = (scrim, where) => {
+  if (scrim === null || scrim === undefined) return { scrim: null };
+  if (!isPlainObject(scrim) || !SCRIM_TYPES.includes(scrim.type)) {
+    return { error: `${where}.type must be one of: ${SCRIM_TYPES.join(", ")} (or set ${where} to null).` };
+  }
+  if (scrim.position !== undefined && !SCRIM_POSITIONS.includes(scrim.position)) {
+    return { error: `${where}.position must be one of: ${SCRIM_POSITIONS.join(", ")}.` };
+  }
+  if (scrim.sizePct !== undefined && !isNumberIn(scrim.sizePct, 1, 100)) {
+    return { error: `${where}.sizePct must be a number between 1 and 100.` };
+  }
+  const styleError = validateStyle(scrim, where, {});
+  if (styleError) return { error: styleError };
+  return { scrim: { position: "bottom", sizePct: 50, color: "black", opacity: 0.6, ...scrim } };
+};
+
+/**
+ * Validate a whole template (from disk or after request overrides)
+ * @param {object} raw
+ * @param {string} where
+ * @param {function(number): string} [layerPath] - Field path of layer i for error messages
+ * @returns {{ template?: object, error?: string }}
+ */
+const normalizeTemplate = (raw, where, layerPath = (i) => `${where}.layers[${i}]`) => {
+  if (!isPlainObject(raw) || typeof raw.name !== "string" || !Array.isArray(raw.layers)) {
+    return { error: `${where} must be an object { name, scrim, layers: [] }.` };
+  }
+  const { scrim, error: scrimError } = normalizeScrim(raw.scrim, `${where}.scrim`);
+  if (scrimError) return { error: scrimError };
+  const layers = [];
+  for (let i = 0; i < raw.layers.length; i++) {
+    const { layer, error } = normalizeLayer(raw.layers[i], layerPath(i));
+    if (error) return { error };
+    layers.push(layer);
+  }
+  return { template: { name: raw.name, description: raw.description || "", scrim, layers } };
+};
+
+/**
+ * Read and validate every template file. Invalid files are logged and skipped.
+ * @returns {Object<string, object>} - Templates by name
+ */
+const loadTemplates = () => {
+  const templates = {};
+  const files = fs.existsSync(TEMPLATES_DIR) ? fs.readdirSync(TEMPLATES_DIR).filter((f) => f.endsWith(".json")) : [];
+  for (const file of files) {
+    try {
+      const { template, error } = normalizeTemplate(fs.readJsonSync(path.join(TEMPLATES_DIR, file)), file);
+      if (error) throw new Error(error);
+      templates[template.name] = template;
+    } catch (err) {
+      console.error(`[Templates] Skipping ${file}: ${err.message}`);
+    }
+  }
+  console.log(`[Templates] Loaded thumbnail templates: ${Object.keys(templates).join(", ") || "none"}`);
+  return templates;
+};
+const THUMBNAIL_TEMPLATES = loadTemplates();
+
+/**
+ * Validate a text drawn on the thumbnail (vibe, subtitle, template slots). Punctuation and
+ * any script are kept; line breaks, tabs and other control characters become spaces.
+ * @param {*} raw
+ * @param {string} field - Request field for error messages
+ * @returns {{ text?: string, error?: string }}
+ */
+const parseThumbnailText = (raw, field) => {
+  const text = typeof raw === "string" || typeof raw === "number"
+    ? String(raw).normalize("NFC").replace(/[\s\p{Cc}]+/gu, " ").trim()
+    : "";
+  if (!text || [...text].length > MAX_TEXT_LENGTH) {
+    return { error: `'${field}' must be a non-empty string or number of at most ${MAX_TEXT_LENGTH} characters.` };
+  }
+  return { text };
+};
+
+/**
+ * Validate the 'thumbnail' request field and resolve it to a concrete template
+ * { template, texts: { slot: value }, images: { logo, watermark }, overrides: { scrim, layers: { slot: {...} } }, autoContrast, safeArea }
+ * Overrides are merged into the named template's layers by slot, then validated like the template itself.
+ * autoContrast and safeArea (both default true) let the renderer adapt text to the background and keep it
+ * out of the duration badge corner.
+ * @param {object} [raw]
+ * @returns {{ thumbnail?: { template: object, texts: object, images: object, autoContrast: boolean, safeArea: boolean }, error?: string }}
+ */
+const parseThumbnailOptions = (raw) => {
+  const opts = raw === undefined || raw === null ? {} : raw;
+  if (!isPlainObject(opts)) {
+    return { error: "'thumbnail' must be an object { template, texts, images, overrides, autoContrast, safeArea }." };
+  }
+  for (const key of ["autoContrast", "safeArea"]) {
+    if (opts[key] !== undefined && typeof opts[key] !== "boolean") return { error: `'thumbnail.${key}' must be a boolean.` };
+  }
+  const name = opts.template ?? DEFAULT_TEMPLATE;
+  const base = THUMBNAIL_TEMPLATES[name];
+  if (!base) {
+    return { error: `'thumbnail.template' must be one of: ${Object.keys(THUMBNAIL_TEMPLATES).join(", ")}.` };
+  }
+
+  const texts = {};
+  if (opts.texts !== undefined) {
+    if (!isPlainObject(opts.texts)) return { error: "'thumbnail.texts' must be an object of { slot: text } pairs." };
+    for (const [slot, value] of Object.entries(opts.texts)) {
+      if (!SLOT_RE.test(slot)) return { error: `'thumbnail.texts' key "${slot}" is not a valid slot name.` };
+      if (slot === "vibe" || slot === "subtitle") return { error: `'thumbnail.texts.${slot}' comes from the top-level '${slot}' field.` };
+      const { text, error } = parseThumbnailText(value, `thumbnail.texts.${slot}`);
+      if (error) return { error };
+      texts[slot] = text;
+    }
+  }
+
+  const images = {};
+  if (opts.images !== undefined) {
+    if (!isPlainObject(opts.images)) return { error: "'thumbnail.images' must be an object { logo, watermark } of image URLs." };
+    for (const [slot, url] of Object.entries(opts.images)) {
+      if (!IMAGE_SLOTS.includes(slot)) return { error: `'thumbnail.images' keys must be: ${IMAGE_SLOTS.join(", ")}.` };
+      if (typeof url !== "string" || !/^https?:\/\/.+\.(png|jpg|jpeg|webp)$/i.test(url.split("?")[0])) {
+        return { error: `'thumbnail.images.${slot}' must be an HTTP/HTTPS PNG, JPG or WEBP URL.` };
+      }
+      images[slot] = url;
+    }
+  }
+
+  let template = base;
+  if (opts.overrides !== undefined) {
+    const overrides = opts.overrides;
+    if (!isPlainObject(overrides)) return { error: "'thumbnail.overrides' must be an object { scrim, layers: { slot: {...} } }." };
+    const layerOverrides = overrides.layers ?? {};
+    if (!isPlainObject(layerOverrides)) return { error: "'thumbnail.overrides.layers' must be an object keyed by slot name." };
+    for (const slot of Object.keys(layerOverrides)) {
+      if (!base.layers.some((l) => l.slot === slot)) {
+        return { error: `'thumbnail.overrides.layers.${slot}': template '${name}' has no '${slot}' layer (slots: ${base.layers.map((l) => l.slot).join(", ")}).` };
+      }
+      if (!isPlainObject(layerOverrides[slot])) return { error: `'thumbnail.overrides.layers.${slot}' must be an object.` };
+    }
+    const merged = {
+      name,
+      description: base.description,
+      scrim: overrides.scrim === undefined ? base.scrim
+        : overrides.scrim === null ? null : { ...(base.scrim || {}), ...overrides.scrim },
+      layers: base.layers.map((l) => mergeLayer(l, layerOverrides[l.slot])),
+    };
+    const { template: resolved, error } = normalizeTemplate(
+      merged, "thumbnail.overrides", (i) => `thumbnail.overrides.layers.${base.layers[i].slot}`
+    );
+    if (error) return { error };
+    template = resolved;
+  }
+
+  // Fail the request rather than render a thumbnail without its text
+  for (const layer of template.layers) {
+    if (layer.type !== "text") continue;
+    const missing = checkFont(layer.font, `'thumbnail' template '${name}' layer '${layer.slot}'`);
+    if (missing) return { error: missing };
+  }
+  return { thumbnail: { template, texts, images, autoContrast: opts.autoContrast ?? true, safeArea: opts.safeArea ?? true } };
+};
+
+/**
+ * Validate the 'variants' request field: alternative thumbnails for A/B tests,
+ * rendered from the same background as the main thumbnail.
+ * [{ id, template, texts, images, overrides, autoContrast, safeArea, crop, focalPoint: { x, y } }]
+ * 'template', 'overrides', 'autoContrast' and 'safeArea' default to the 'thumbnail' field's,
+ * 'texts' and 'images' are merged into its.
+ * @param {Array<object>} [raw]
+ * @param {object} [base] - Raw 'thumbnail' request field
+ * @returns {{ variants?: Array<{ id: string, thumbnail: object, crop: string|null, focalPoint: object|null }>|null, error?: string }}
+ */
+const parseThumbnailVariants = (raw, base) => {
+  if (raw === undefined || raw === null) return { variants: null };
+  if (!Array.isArray(raw) || raw.length === 0 || raw.length > MAX_VARIANTS) {
+    return { error: `'variants' must be a non-empty array of at most ${MAX_VARIANTS} thumbnail variants.` };
+  }
+  const shared = isPlainObject(base) ? base : {};
+  const variants = [];
+  for (let i = 0; i < raw.length; i++) {
+    const v = raw[i];
+    if (!isPlainObject(v)) return { error: `'variants[${i}]' must be an object { id, template, texts, images, overrides, crop, focalPoint }.` };
+    const id = v.id === undefined ? `v${i + 1}` : v.id;
+    if (typeof id !== "string" || !VARIANT_ID_RE.test(id)) {
+      return { error: `'variants[${i}].id' must be 1-32 letters, digits, '-' or '_'.` };
+    }
+    if (variants.some((other) => other.id === id)) return { error: `'variants' ids must be unique ("${id}" is repeated).` };
+    if (v.crop !== undefined && !CROP_MODES.includes(v.crop)) {
+      return { error: `'variants[${i}].crop' must be one of: ${CROP_MODES.join(", ")}.` };
+    }
+    if (v.focalPoint !== undefined && !(isPlainObject(v.focalPoint) && isNumberIn(v.focalPoint.x, 0, 1) && isNumberIn(v.focalPoint.y, 0, 1))) {
+      return { error: `'variants[${i}].focalPoint' must be { x, y } with both between 0 and 1 (0,0 = top left).` };
+    }
+    for (const key of ["texts", "images"]) {
+      if (v[key] !== undefined && !isPlainObject(v[key])) return { error: `'variants[${i}].${key}' must be an object.` };
+    }
+    const { thumbnail, error } = parseThumbnailOptions({
+      template: v.template ?? shared.template,
+      texts: { ...(isPlainObject(shared.texts) ? shared.texts : {}), ...(v.texts || {}) },
+      images: { ...(isPlainObject(shared.images) ? shared.images : {}), ...(v.images || {}) },
+      overrides: v.overrides ?? shared.overrides,
+      autoContrast: v.autoContrast ?? shared.autoContrast,
+      safeArea: v.safeArea ?? shared.safeArea,
+    });
+    if (error) return { error: `'variants[${i}]': ${error}` };
+    variants.push({ id, thumbnail, crop: v.crop ?? null, focalPoint: v.focalPoint ?? null });
+  }
+  return { variants };
+};
+
+/**
+ * Check that every text of the thumbnail and its variants can be drawn: some installed font
+ * (the layer's own, else a fallback) must have a glyph for each character
+ * @param {object} thumbnail - Result of parseThumbnailOptions()
+ * @param {Array<object>|null} variants - Result of parseThumbnailVariants()
+ * @param {object} texts - { vibe, subtitle }
+ * @returns {string|null} - Error message
+ */
+const checkThumbnailTexts = (thumbnail, variants, texts) => {
+  const thumbnails = [
+    { thumbnail, where: "" },
+    ...(variants || []).map((v, i) => ({ thumbnail: v.thumbnail, where: `'variants[${i}]': ` })),
+  ];
+  for (const { thumbnail: t, where } of thumbnails) {
+    const values = { ...texts, ...t.texts };
+    for (const layer of t.template.layers) {
+      const value = values[layer.slot];
+      if (layer.type !== "text" || value === undefined || value === null || value === "") continue;
+      const { font, missing } = pickFont(layer.font, getLayerText(layer, String(value)));
+      if (!font) {
+        const field = layer.slot === "vibe" || layer.slot === "subtitle" ? layer.slot : `thumbnail.texts.${layer.slot}`;
+        return `${where}'${field}': no installed font has glyphs for ${missing.map((c) => `"${c}"`).join(", ")} ` +
+          "together with the rest of the text. Upload a font that covers them with POST /api/ffmpeg/fonts.";
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  THUMBNAIL_TEMPLATES,
+  DEFAULT_TEMPLATE,
+  toFfmpegColor,
+  VARIANT_ID_RE,
+  MAX_TEXT_LENGTH,
+  parseThumbnailText,
+  parseThumbnailOptions,
+  parseThumbnailVariants,
+  checkThumbnailTexts,
+};
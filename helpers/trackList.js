@@ -0,0 +1,153 @@
+const { FFMPEG_PATH, runCommand } = require("./ffmpegUtils");
+
+const isHttpUrl = (u) => typeof u === "string" && /^https?:\/\/.+/i.test(u);
+const isNumber = (n) => typeof n === "number" && Number.isFinite(n);
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_GAIN_DB = 30;
+const MAX_FADE_SEC = 60;
+
+/**
+ * Validate one entry of the 'files' request field
+ * Accepts a bare URL string or an object
+ * { url, title, artist, startSec, endSec, gainDb, fadeInSec, fadeOutSec }.
+ * @param {string|object} entry
+ * @param {number} index - Position in 'files' (used in error messages)
+ * @returns {{ track?: object, error?: string }}
+ */
+const parseTrack = (entry, index) => {
+  const at = `files[${index}]`;
+  const track = {
+    url: null, title: null, artist: null,
+    startSec: null, endSec: null, gainDb: 0, fadeInSec: 0, fadeOutSec: 0,
+  };
+
+  if (typeof entry === "string") {
+    if (!isHttpUrl(entry)) return { error: `${at} must be a valid HTTP/HTTPS URL.` };
+    track.url = entry;
+    return { track };
+  }
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { error: `${at} must be a URL string or an object with a 'url' field.` };
+  }
+  if (!isHttpUrl(entry.url)) {
+    return { error: `${at}.url must be a valid HTTP/HTTPS URL.` };
+  }
+  track.url = entry.url;
+
+  for (const field of ["title", "artist"]) {
+    const v = entry[field];
+    if (v === undefined || v === null) continue;
+    if (typeof v !== "string") return { error: `${at}.${field} must be a string.` };
+    if (v.trim().length > MAX_TEXT_LENGTH) {
+      return { error: `${at}.${field} must be ${MAX_TEXT_LENGTH} characters or less.` };
+    }
+    track[field] = v.trim() || null;
+  }
+
+  if (entry.startSec !== undefined && entry.startSec !== null) {
+    if (!isNumber(entry.startSec) || entry.startSec < 0) {
+      return { error: `${at}.startSec must be a number >= 0.` };
+    }
+    track.startSec = entry.startSec;
+  }
+  if (entry.endSec !== undefined && entry.endSec !== null) {
+    if (!isNumber(entry.endSec) || entry.endSec <= 0) {
+      return { error: `${at}.endSec must be a number > 0.` };
+    }
+    if (track.startSec !== null && entry.endSec <= track.startSec) {
+      return { error: `${at}.endSec must be greater than startSec.` };
+    }
+    track.endSec = entry.endSec;
+  }
+  if (entry.gainDb !== undefined && entry.gainDb !== null) {
+    if (!isNumber(entry.gainDb) || Math.abs(entry.gainDb) > MAX_GAIN_DB) {
+      return { error: `${at}.gainDb must be a number between -${MAX_GAIN_DB} and ${MAX_GAIN_DB}.` };
+    }
+    track.gainDb = entry.gainDb;
+  }
+  for (const field of ["fadeInSec", "fadeOutSec"]) {
+    const v = entry[field];
+    if (v === undefined || v === null) continue;
+    if (!isNumber(v) || v < 0 || v > MAX_FADE_SEC) {
+      return { error: `${at}.${field} must be a number between 0 and ${MAX_FADE_SEC}.` };
+    }
+    track[field] = v;
+  }
+
+  return { track };
+};
+
+/**
+ * Validate the whole 'files' array
+ * @param {Array<string|object>} files
+ * @returns {{ tracks?: object[], error?: string }}
+ */
+const parseTracks = (files) => {
+  const tracks = [];
+  for (let i = 0; i < files.length; i++) {
+    const { track, error } = parseTrack(files[i], i);
+    if (error) return { error };
+    tracks.push(track);
+  }
+  return { tracks };
+};
+
+/**
+ * Display title for a track: "Artist - Title", falling back to "Track N"
+ * @param {{ title: string|null, artist: string|null }} track
+ * @param {number} index - Zero-based position in 'files'
+ * @returns {string}
+ */
+const getTrackTitle = (track, index) => {
+  const title = track.title || `Track ${index + 1}`;
+  return track.artist ? `${track.artist} - ${title}` : title;
+};
+
+const hasTrackEdits = (track) =>
+  track.startSec !== null || track.endSec !== null ||
+  track.gainDb !== 0 || track.fadeInSec > 0 || track.fadeOutSec > 0;
+
+/**
+ * Apply trim / gain / fades from the track object to a sanitized WAV
+ * @param {string} wavPath - Sanitized WAV
+ * @param {object} track - Result of parseTrack()
+ * @param {number} duration - Duration of wavPath in seconds
+ * @param {string} outPath - Edited WAV to write
+ * @param {number} index - Position in 'files' (used in error messages)
+ * @returns {Promise<string>} - outPath, or wavPath unchanged when there is nothing to apply
+ */
+const applyTrackEdits = async (wavPath, track, duration, outPath, index) => {
+  if (!hasTrackEdits(track)) return wavPath;
+
+  const start = track.startSec || 0;
+  const end = track.endSec !== null ? Math.min(track.endSec, duration) : duration;
+  if (start >= end) {
+    throw new Error(`files[${index}].startSec (${start}s) is beyond the end of the track (${duration.toFixed(2)}s)`);
+  }
+  const length = end - start;
+
+  const filters = [];
+  if (start > 0 || end < duration) {
+    filters.push(`atrim=start=${start}:end=${end}`, "asetpts=PTS-STARTPTS");
+  }
+  if (track.gainDb !== 0) filters.push(`volume=${track.gainDb}dB`);
+  // Fades never run past the (trimmed) track
+  const fadeIn = Math.min(track.fadeInSec, length);
+  const fadeOut = Math.min(track.fadeOutSec, length);
+  if (fadeIn > 0) filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+  if (fadeOut > 0) filters.push(`afade=t=out:st=${(length - fadeOut).toFixed(3)}:d=${fadeOut}`);
+
+  await runCommand(
+    `"${FFMPEG_PATH}" -y -hide_banner -loglevel error -i "${wavPath}" -af "${filters.join(",")}" -acodec pcm_s16le -ar 44100 -ac 2 "${outPath}"`,
+    5 * 60 * 1000
+  );
+  return outPath;
+};
+
+module.exports = {
+  parseTrack,
+  parseTracks,
+  getTrackTitle,
+  applyTrackEdits,
+};
@@ -0,0 +1,137 @@
+const { requestError } = require("./requestError");
+
+const ENCODING_MODES = ["crf", "target-size-mb", "constant-quality"];
+// Constant quality: CRF only, no bitrate ceiling, so the file is as big as the picture needs
+const QUALITY_PRESETS = {
+  high: { crf: 18, preset: "slow" },
+  balanced: { crf: 21, preset: "medium" },
+  small: { crf: 26, preset: "medium" },
+};
+const DEFAULT_CRF = 18;
+// Muxing overhead (MP4 boxes, chapter track) reserved out of the size budget
+const CONTAINER_OVERHEAD = 0.02;
+const MIN_VIDEO_KBPS = 150;
+
+/**
+ * Validate the 'encoding' request field
+ * - "crf" / { mode: "crf", crf }: CRF (default 18) capped by the profile's maxrate (default)
+ * - { mode: "target-size-mb", targetSizeMb }: two-pass at the bitrate that fills the target size
+ * - "constant-quality" / { mode: "constant-quality", quality }: high | balanced (default) | small, no bitrate cap
+ * @param {string|object} [raw]
+ * @returns {{ encoding?: { mode: string, crf: number|null, preset: string, quality: string|null, targetSizeMb: number|null }, error?: string }}
+ */
+const parseEncoding = (raw) => {
+  const opts = raw === undefined || raw === null ? { mode: "crf" } : typeof raw === "string" ? { mode: raw } : raw;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    return { error: "'encoding' must be a mode name or an object { mode, crf, targetSizeMb, quality }." };
+  }
+  const mode = opts.mode || "crf";
+  if (!ENCODING_MODES.includes(mode)) {
+    return { error: `'encoding.mode' must be one of: ${ENCODING_MODES.join(", ")}.` };
+  }
+
+  if (mode === "crf") {
+    const crf = opts.crf ?? DEFAULT_CRF;
+    if (!Number.isInteger(crf) || crf < 12 || crf > 35) {
+      return { error: "'encoding.crf' must be an integer between 12 and 35." };
+    }
+    return { encoding: { mode, crf, preset: "slow", quality: null, targetSizeMb: null } };
+  }
+
+  if (mode === "target-size-mb") {
+    const { targetSizeMb } = opts;
+    if (typeof targetSizeMb !== "number" || targetSizeMb < 1 || targetSizeMb > 20000) {
+      return { error: "'encoding.targetSizeMb' is required for target-size-mb and must be a number between 1 and 20000." };
+    }
+    return { encoding: { mode, crf: null, preset: "slow", quality: null, targetSizeMb } };
+  }
+
+  const quality = opts.quality ?? "balanced";
+  if (!QUALITY_PRESETS[quality]) {
+    return { error: `'encoding.quality' must be one of: ${Object.keys(QUALITY_PRESETS).join(", ")}.` };
+  }
+  return { encoding: { mode, ...QUALITY_PRESETS[quality], quality, targetSizeMb: null } };
+};
+
+/**
+ * Video bitrate that makes the whole file land on encoding.targetSizeMb, capped by the profile's maxrate
+ * @param {object} encoding - Result of parseEncoding() with mode target-size-mb
+ * @param {number} durationSec - Output length
+ * @param {number} audioKbps - Audio bitrate muxed alongside
+ * @param {object} profile - Result of parseProfile()
+ * @returns {{ videoKbps: number, uncappedKbps: number|null }} - kbit/s; uncappedKbps: the size's bitrate when the cap applied
+ * @throws {Error} - status 400 (requestError) when the target is too small for the length
+ */
+const getTargetVideoBitrate = (encoding, durationSec, audioKbps, profile) => {
+  const totalKbits = (encoding.targetSizeMb * 1024 * 1024 * 8 * (1 - CONTAINER_OVERHEAD)) / 1000;
+  const videoKbps = Math.floor(totalKbits / durationSec - audioKbps);
+  if (videoKbps < MIN_VIDEO_KBPS) {
+    const minSizeMb = Math.ceil((((MIN_VIDEO_KBPS + audioKbps) * durationSec * 1000) / 8 / (1 - CONTAINER_OVERHEAD)) / 1024 / 1024);
+    throw requestError(
+      `'encoding.targetSizeMb' ${encoding.targetSizeMb} is too small for ${Math.round(durationSec)}s of video; use at least ${minSizeMb}.`
+    );
+  }
+  // Above the cap the file comes out smaller than asked; -b:v above -maxrate would contradict the VBV
+  if (videoKbps > profile.maxrateK) return { videoKbps: profile.maxrateK, uncappedKbps: videoKbps };
+  return { videoKbps, uncappedKbps: null };
+};
+
+/**
+ * x264 rate control arguments for a parsed encoding mode
+ * @param {object} encoding - Result of parseEncoding()
+ * @param {object} profile - Result of parseProfile()
+ * @param {number} [videoKbps] - Required for target-size-mb (see getTargetVideoBitrate; never above profile.maxrateK)
+ * @returns {string} - e.g. "-preset slow -crf 18 -b:v 5000k -maxrate 8000k -bufsize 10000k"
+ */
+const buildVideoEncodeArgs = (encoding, profile, videoKbps) => {
+  if (encoding.mode === "target-size-mb") {
+    // Allow short peaks above the average; two-pass keeps the total on target
+    const maxrateK = Math.min(Math.round(videoKbps * 1.5), profile.maxrateK);
+    return `-preset ${encoding.preset} -b:v ${videoKbps}k -maxrate ${maxrateK}k -bufsize ${maxrateK * 2}k`;
+  }
+  if (encoding.mode === "constant-quality") {
+    return `-preset ${encoding.preset} -crf ${encoding.crf}`;
+  }
+  return `-preset ${encoding.preset} -crf ${encoding.crf} ` +
+    `-b:v ${profile.videoBitrateK}k -maxrate ${profile.maxrateK}k -bufsize ${profile.bufsizeK}k`;
+};
+
+/**
+ * Encoding report for the response: what was asked for versus what came out
+ * @param {object} encoding - Result of parseEncoding()
+ * @param {object} params
+ * @param {number} params.sizeBytes - Final file size
+ * @param {number} params.durationSec - Output length
+ * @param {number|null} [params.videoKbps] - Target video bitrate (target-size-mb)
+ * @param {number|null} [params.uncappedKbps] - Bitrate the target size called for, when the profile capped it
+ * @param {number} [params.passes] - 1 or 2
+ * @returns {object}
+ */
+const summarizeEncoding = (encoding, { sizeBytes, durationSec, videoKbps = null, uncappedKbps = null, passes = 1 }) => {
+  const sizeMb = sizeBytes / 1024 / 1024;
+  const report = {
+    mode: encoding.mode,
+    crf: encoding.crf ?? undefined,
+    quality: encoding.quality ?? undefined,
+    preset: encoding.preset,
+    passes,
+    targetVideoBitrateKbps: videoKbps ?? undefined,
+    achievedBitrateKbps: Math.round((sizeBytes * 8) / 1000 / durationSec),
+    sizeMb: Number(sizeMb.toFixed(2)),
+  };
+  if (encoding.targetSizeMb) {
+    report.targetSizeMb = encoding.targetSizeMb;
+    report.sizeDeltaPct = Number((((sizeMb - encoding.targetSizeMb) / encoding.targetSizeMb) * 100).toFixed(1));
+    if (uncappedKbps) report.cappedFromKbps = uncappedKbps;
+  }
+  return report;
+};
+
+module.exports = {
+  ENCODING_MODES,
+  QUALITY_PRESETS,
+  parseEncoding,
+  getTargetVideoBitrate,
+  buildVideoEncodeArgs,
+  summarizeEncoding,
+};
@@ -0,0 +1,84 @@
+const { buildFrameFilter } = require("./outputProfiles");
+
+const MOTION_PRESETS = ["none", "slow-zoom-in", "zoom-in-out", "pan-left", "drift"];
+const FPS = 25;
+// zoompan rounds its crop window to whole input pixels; rendering from a 2x
+// oversampled frame keeps those steps below one output pixel (no visible jitter).
+// 4K output skips it: an 8K intermediate is too heavy and 1px steps barely show.
+const OVERSAMPLE = 2;
+const MAX_OVERSAMPLED_EDGE = 3840;
+
+/**
+ * Validate the 'motion' request field
+ * Accepts a preset name or { preset, speed } (speed 0.25–4, default 1).
+ * @param {string|object} [raw]
+ * @returns {{ motion?: { preset: string, speed: number }, error?: string }}
+ */
+const parseMotion = (raw) => {
+  if (raw === undefined || raw === null) return { motion: { preset: "none", speed: 1 } };
+  const opts = typeof raw === "string" ? { preset: raw } : raw;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    return { error: "'motion' must be a preset name or an object { preset, speed }." };
+  }
+  const preset = opts.preset || "none";
+  if (!MOTION_PRESETS.includes(preset)) {
+    return { error: `'motion.preset' must be one of: ${MOTION_PRESETS.join(", ")}.` };
+  }
+  const speed = opts.speed ?? 1;
+  if (typeof speed !== "number" || !Number.isFinite(speed) || speed < 0.25 || speed > 4) {
+    return { error: "'motion.speed' must be a number between 0.25 and 4." };
+  }
+  return { motion: { preset, speed } };
+};
+
+/**
+ * Video filter for the background: fill the frame (see buildFrameFilter) plus the requested motion
+ * @param {object} motion - Result of parseMotion()
+ * @param {object} params
+ * @param {number} [params.width=1920]
+ * @param {number} [params.height=1080]
+ * @param {string} [params.crop="cover"] - Crop strategy of the output profile
+ * @param {string} [params.tag] - Label prefix when used inside a larger filter graph
+ * @param {number} params.durationSec - Video length (linear presets span the whole video)
+ * @returns {string} - Filter chain for -vf / filter_complex
+ */
+const buildMotionFilter = (motion, { width = 1920, height = 1080, crop = "cover", tag = "", durationSec }) => {
+  if (motion.preset === "none") return buildFrameFilter(crop, width, height, tag);
+
+  const frames = Math.max(1, Math.ceil(durationSec * FPS));
+  const s = motion.speed;
+  const center = "x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)'";
+  // Period in frames for the oscillating presets
+  const period = (seconds) => Math.round((seconds / s) * FPS);
+  let expr;
+  switch (motion.preset) {
+    case "slow-zoom-in": {
+      const amount = Math.min(0.5, 0.15 * s);
+      expr = `z='1+${amount}*on/${frames}':${center}`;
+      break;
+    }
+    case "zoom-in-out":
+      expr = `z='1+0.12*(1-cos(2*PI*on/${period(40)}))/2':${center}`;
+      break;
+    case "pan-left": {
+      const zoom = Math.min(1.5, 1 + 0.1 * s);
+      expr = `z='${zoom}':x='(iw-iw/zoom)*(1-on/${frames})':y='ih/2-(ih/zoom/2)'`;
+      break;
+    }
+    case "drift":
+      expr = `z='1.1':x='(iw-iw/zoom)/2*(1+0.8*sin(2*PI*on/${period(47)}))':` +
+        `y='(ih-ih/zoom)/2*(1+0.8*sin(2*PI*on/${period(61)}))'`;
+      break;
+    default:
+      return buildFrameFilter(crop, width, height, tag);
+  }
+  const k = Math.max(width, height) * OVERSAMPLE <= MAX_OVERSAMPLED_EDGE ? OVERSAMPLE : 1;
+  return `${buildFrameFilter(crop, width * k, height * k, tag)},` +
+    `zoompan=${expr}:d=1:s=${width}x${height}:fps=${FPS},setsar=1`;
+};
+
+module.exports = {
+  MOTION_PRESETS,
+  parseMotion,
+  buildMotionFilter,
+};
@@ -0,0 +1,177 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const VISUALIZER_STYLES = ["waveform", "bars", "circular"];
+const VISUALIZER_POSITIONS = ["bottom", "center", "top"];
+// Modes where black is neutral, so the visualizer's empty area leaves the background untouched
+const BLEND_MODES = ["normal", "screen", "addition", "lighten"];
+const STYLE_DEFAULTS = {
+  waveform: { position: "bottom", widthPct: 80, heightPct: 20 },
+  bars: { position: "bottom", widthPct: 80, heightPct: 25 },
+  circular: { position: "center", widthPct: 40, heightPct: 40 },
+};
+const FPS = 25;
+// Circular spectrum: bars are drawn flat, then wrapped around a ring through remap
+const RING_SOURCE = { width: 1024, height: 256 };
+const RING_INNER_RATIO = 0.45;
+const MARGIN_RATIO = 0.05;
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+/**
+ * Validate the 'visualizer' request field
+ * A style name, or { style, position, widthPct, heightPct, color, opacity, blend }.
+ * Omitted → no visualizer.
+ * @param {string|object} [raw]
+ * @returns {{ visualizer?: object|null, error?: string }}
+ */
+const parseVisualizer = (raw) => {
+  if (raw === undefined || raw === null || raw === false) return { visualizer: null };
+  const opts = typeof raw === "string" ? { style: raw } : raw;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    return { error: "'visualizer' must be a style name or an object { style, position, widthPct, heightPct, color, opacity, blend }." };
+  }
+  const style = opts.style || "bars";
+  if (!VISUALIZER_STYLES.includes(style)) {
+    return { error: `'visualizer.style' must be one of: ${VISUALIZER_STYLES.join(", ")}.` };
+  }
+  const defaults = STYLE_DEFAULTS[style];
+  const position = opts.position || defaults.position;
+  if (!VISUALIZER_POSITIONS.includes(position)) {
+    return { error: `'visualizer.position' must be one of: ${VISUALIZER_POSITIONS.join(", ")}.` };
+  }
+  const widthPct = opts.widthPct ?? defaults.widthPct;
+  if (typeof widthPct !== "number" || widthPct < 10 || widthPct > 100) {
+    return { error: "'visualizer.widthPct' must be a number between 10 and 100." };
+  }
+  const heightPct = opts.heightPct ?? defaults.heightPct;
+  if (typeof heightPct !== "number" || heightPct < 5 || heightPct > 100) {
+    return { error: "'visualizer.heightPct' must be a number between 5 and 100." };
+  }
+  const color = opts.color ?? "white";
+  if (typeof color !== "string" || !/^(#|0x)?[0-9a-f]{6}$|^[a-z]+$/i.test(color)) {
+    return { error: "'visualizer.color' must be a hex color like \"#ffcc00\" or a color name like \"white\"." };
+  }
+  const opacity = opts.opacity ?? 0.8;
+  if (typeof opacity !== "number" || opacity < 0.05 || opacity > 1) {
+    return { error: "'visualizer.opacity' must be a number between 0.05 and 1." };
+  }
+  const blend = opts.blend || "normal";
+  if (!BLEND_MODES.includes(blend)) {
+    return { error: `'visualizer.blend' must be one of: ${BLEND_MODES.join(", ")}.` };
+  }
+  return {
+    visualizer: {
+      style, position, widthPct, heightPct, opacity, blend,
+      // FFmpeg takes hex colors as 0xRRGGBB
+      color: /^[a-z]+$/i.test(color) ? color.toLowerCase() : `0x${color.replace(/^(#|0x)/i, "")}`,
+    },
+  };
+};
+
+/**
+ * Write the remap lookup tables that wrap a flat bar graph around a ring.
+ * Bass sits at the top and the spectrum is mirrored left/right; bars grow outwards.
+ * @param {number} diameter - Output size in pixels
+ * @param {string} jobDir
+ * @returns {Promise<{ xmapPath: string, ymapPath: string }>}
+ */
+const writeRingMaps = async (diameter, jobDir) => {
+  const { width: sw, height: sh } = RING_SOURCE;
+  const outer = diameter / 2;
+  const inner = outer * RING_INNER_RATIO;
+  const header = Buffer.from(`P5\n${diameter} ${diameter}\n65535\n`);
+  const xmap = Buffer.alloc(diameter * diameter * 2);
+  const ymap = Buffer.alloc(diameter * diameter * 2);
+  for (let y = 0; y < diameter; y++) {
+    for (let x = 0; x < diameter; x++) {
+      const dx = x + 0.5 - outer;
+      const dy = y + 0.5 - outer;
+      const r = Math.sqrt(dx * dx + dy * dy);
+      // Out-of-range coordinates are left empty (transparent) by remap
+      let sx = 65535, sy = 65535;
+      if (r >= inner && r <= outer) {
+        sx = Math.min(sw - 1, Math.floor((Math.abs(Math.atan2(dx, -dy)) / Math.PI) * sw));
+        sy = Math.round(((outer - r) / (outer - inner)) * (sh - 1));
+      }
+      const i = (y * diameter + x) * 2;
+      xmap.writeUInt16BE(sx, i);
+      ymap.writeUInt16BE(sy, i);
+    }
+  }
+  const xmapPath = path.join(jobDir, "ring_xmap.pgm");
+  const ymapPath = path.join(jobDir, "ring_ymap.pgm");
+  await fs.writeFile(xmapPath, Buffer.concat([header, xmap]));
+  await fs.writeFile(ymapPath, Buffer.concat([header, ymap]));
+  return { xmapPath, ymapPath };
+};
+
+/**
+ * Filter graph lines that render the visualizer from the audio and composite it
+ * over the background video.
+ * @param {object} visualizer - Result of parseVisualizer()
+ * @param {object} params
+ * @param {number} params.width - Output frame width
+ * @param {number} params.height - Output frame height
+ * @param {number} params.audioInput - Input index of the final audio
+ * @param {number} params.nextInput - First free input index (for the ring maps)
+ * @param {string} params.baseLabel - Background video label, e.g. "vbase"
+ * @param {string} params.outLabel - Composited video label, e.g. "vout"
+ * @param {string} params.jobDir
+ * @returns {Promise<{ loopInputs: string[], graph: string[] }>} - Still images to add as looped inputs (from nextInput on), and graph lines
+ */
+const buildVisualizerGraph = async (visualizer, { width, height, audioInput, nextInput, baseLabel, outLabel, jobDir }) => {
+  const { style, color, opacity } = visualizer;
+  const loopInputs = [];
+  const graph = [];
+
+  let vw = even((width * visualizer.widthPct) / 100);
+  let vh = even((height * visualizer.heightPct) / 100);
+  // Mono first: stacked stereo channels would add up to white instead of the requested color
+  const mono = `[${audioInput}:a]aformat=channel_layouts=mono`;
+  if (style === "waveform") {
+    graph.push(`${mono},` +
+      `showwaves=s=${vw}x${vh}:mode=cline:rate=${FPS}:scale=sqrt:colors=${color},format=rgba[vis]`);
+  } else if (style === "bars") {
+    graph.push(`${mono},showfreqs=s=${vw}x${vh}:mode=bar:ascale=log:fscale=log:colors=${color},` +
+      `fps=${FPS},format=rgba[vis]`);
+  } else {
+    vw = vh = even(Math.min(vw, vh));
+    const { xmapPath, ymapPath } = await writeRingMaps(vw, jobDir);
+    loopInputs.push(xmapPath, ymapPath);
+    graph.push(
+      `${mono},showfreqs=s=${RING_SOURCE.width}x${RING_SOURCE.height}:mode=bar:ascale=log:fscale=log:` +
+      `colors=${color},fps=${FPS},format=rgba[visflat]`,
+      `[${nextInput}:v]format=gray16[visx]`,
+      `[${nextInput + 1}:v]format=gray16[visy]`,
+      `[visflat][visx][visy]remap,format=rgba[vis]`
+    );
+  }
+
+  const margin = Math.round(height * MARGIN_RATIO);
+  const x = Math.round((width - vw) / 2);
+  const y = visualizer.position === "top" ? margin
+    : visualizer.position === "bottom" ? height - vh - margin
+      : Math.round((height - vh) / 2);
+
+  if (visualizer.blend === "normal") {
+    graph.push(
+      `[vis]colorchannelmixer=aa=${opacity}[visa]`,
+      `[${baseLabel}][visa]overlay=x=${x}:y=${y}:format=auto,format=yuv420p[${outLabel}]`
+    );
+  } else {
+    // blend ignores alpha: pad onto a black frame and blend in RGB so black is neutral
+    graph.push(
+      `[vis]pad=${width}:${height}:${x}:${y}:color=black,format=gbrp[vispad]`,
+      `[${baseLabel}]format=gbrp[visbase]`,
+      `[visbase][vispad]blend=all_mode=${visualizer.blend}:all_opacity=${opacity},format=yuv420p[${outLabel}]`
+    );
+  }
+  return { loopInputs, graph };
+};
+
+module.exports = {
+  VISUALIZER_STYLES,
+  parseVisualizer,
+  buildVisualizerGraph,
+};
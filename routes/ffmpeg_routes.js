@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
-const { Convert, getStorageInfo, downloadVideo, downloadThumbnail } = require("../controllers/ffmpeg_controller");
-const { ProcessAudio, CreateThumbnail, CreateVideoFromAudio } = require("../controllers/lat_ffmpeh_controller")
+const { Convert, getStorageInfo, getJobStatus, downloadVideo, downloadThumbnail, downloadTeaser } = require("../controllers/ffmpeg_controller");
+const { ProcessAudio, CreateThumbnail, CreateVideoFromAudio, downloadAudio } = require("../controllers/lat_ffmpeh_controller")
+const { getFonts, uploadFont } = require("../controllers/font_controller");
 
 // GET request handler for API status and instructions
 router.get("/create-video", (req, res) => {
@@ -11,9 +12,9 @@ router.get("/create-video", (req, res) => {
     endpoint: "POST /api/ffmpeg/create-video",
     description: "Creates a video by merging audio files with background image and text overlay",
     videoSpecs: {
-      resolution: "1920x1080 (Full HD)",
+      resolution: "1920x1080 (Full HD) by default; 'profile' selects landscape-4k, landscape-720p, vertical-1080x1920 or square-1080",
       format: "MP4 with H.264 video and AAC audio",
-      features: "Automatic image cropping/scaling, subtle zoom effect, text overlay"
+      features: "Automatic image cropping/scaling, optional motion presets (motion), optional audio visualizer (visualizer), looping video/GIF backgrounds (backgroundVideoUrl), text overlay on thumbnail"
     },
     supportedImageFormats: ["JPG", "JPEG", "PNG", "GIF", "BMP", "WEBP"],
     requiredPayload: {
@@ -32,6 +33,7 @@ router.get("/create-video", (req, res) => {
       subtitle: "Lo Fi Focus Mix"
     },
     response: "Returns MP4 video file stream",
+    async: "Send \"async\": true to get 202 with a jobId right away, then poll GET /api/ffmpeg/jobs/:jobId",
     storageInfo: "GET /api/ffmpeg/storage-info for storage monitoring"
   });
 });
@@ -42,9 +44,19 @@ router.post("/create-video", Convert);
 // Storage monitoring endpoint
 router.get("/storage-info", getStorageInfo);
 
+// Status of a video job (stage, progress, timings, result or error)
+router.get("/jobs/:jobId", getJobStatus);
+
 // Download endpoints (when S3 not configured)
 router.get("/download/video/:jobId", downloadVideo);
 router.get("/download/thumbnail/:jobId", downloadThumbnail);
+router.get("/download/thumbnail/:jobId/:variantId", downloadThumbnail);
+router.get("/download/teaser/:jobId", downloadTeaser);
+router.get("/download/audio/:jobId", downloadAudio);
+
+// Font registry: list registered fonts, add one by URL or base64
+router.get("/fonts", getFonts);
+router.post("/fonts", uploadFont);
 router.post("/finalaudio", ProcessAudio)
 router.post("/thumbnail-creator", CreateThumbnail)
 router.post("/final-video", CreateVideoFromAudio)